@@ -5,11 +5,41 @@ import dotenv from 'dotenv';
 
 // Import routes
 import chatRoutes from './routes/chatRoutes.js';
+import personaRoutes from './routes/personaRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import policyRoutes from './routes/policyRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import channelRoutes from './routes/channelRoutes.js';
+import guildRoutes from './routes/guildRoutes.js';
+import topicRoutes from './routes/topicRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import knowledgeRoutes from './routes/knowledgeRoutes.js';
+import { requireApiClient, getAuthConfig } from './middleware/requestAuth.js';
+import { requestContext } from './middleware/requestContext.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { captureConsole } from './services/logger.js';
+import { startTopicJobs } from './services/topicService.js';
 
 dotenv.config();
+// Send plain console output through the structured logger too, so it carries request IDs (see LOG_FORMAT)
+captureConsole();
 
 const app = express();
-app.use(bodyParser.json());
+// Keep the raw body so request signatures can be verified against exactly what was sent
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+};
+// Knowledge documents are uploaded whole, so they may be larger than the default 100kb
+app.use('/api/knowledge', bodyParser.json({ limit: '1mb', verify: keepRawBody }));
+app.use(bodyParser.json({ verify: keepRawBody }));
+app.use(requestContext);
+
+const authConfig = getAuthConfig();
+if (authConfig.disabled) {
+    console.warn('API_AUTH_DISABLED is set: API requests are NOT authenticated');
+} else if (authConfig.clients.size === 0) {
+    console.warn('No API_CLIENTS configured: every API request will be rejected');
+}
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI, {
@@ -21,10 +51,23 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
     console.log('Connected to MongoDB');
+    startTopicJobs();
 });
 
-// Use the routes
-app.use('/api/chat', chatRoutes);
+// Prometheus scrape endpoint, protected by METRICS_TOKEN when set
+app.get('/metrics', getMetrics);
+
+// Use the routes; every API requires a signed request from a known client
+app.use('/api/chat', requireApiClient('chat'), chatRoutes);
+app.use('/api/personas', requireApiClient('personas'), personaRoutes);
+app.use('/api/users', requireApiClient('users'), userRoutes);
+app.use('/api/policy', requireApiClient('policy'), policyRoutes);
+app.use('/api/usage', requireApiClient('usage'), usageRoutes);
+app.use('/api/channels', requireApiClient('channels'), channelRoutes);
+app.use('/api/guilds', requireApiClient('guilds'), guildRoutes);
+app.use('/api/topics', requireApiClient('topics'), topicRoutes);
+app.use('/api/admin', requireApiClient('admin'), adminRoutes);
+app.use('/api/knowledge', requireApiClient('knowledge'), knowledgeRoutes);
 
 // Start the server
 const PORT = process.env.PORT || 3000;
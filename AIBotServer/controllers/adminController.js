@@ -0,0 +1,253 @@
+import mongoose from 'mongoose';
+import {
+  listUsers,
+  getUserOverview,
+  validateUserChanges,
+  updateUser,
+  listTurns,
+  searchTurns,
+  listFlaggedTurns,
+  validateFlagReason,
+  flagTurn,
+  unflagTurn,
+  getGlobalSettings,
+  validateBotPersonality,
+  setBotPersonality,
+} from '../services/adminService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+import { hasNonStringParam, isInvalidDate, invalidQuery } from '../../utils/queryParams.js';
+
+// Every admin call, reads included, is audited as admin.*; details hold IDs, filters and counts, never content
+
+const invalidCursor = (res) => res.status(400).json({ error: 'Invalid cursor', details: '`before` must be an ISO timestamp' });
+
+// GET /api/admin/users?q=<user ID or part of a username>&limit=20&offset=0
+export const getUsers = async (req, res) => {
+  const { q, limit, offset } = req.query;
+  if (hasNonStringParam(q, limit, offset)) return invalidQuery(res);
+
+  try {
+    const page = await listUsers({ q, limit, offset });
+    await recordAudit({
+      action: 'admin.users.list',
+      actor: getActor(req),
+      targetType: 'user',
+      details: { searched: Boolean(q), count: page.users.length },
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Error in getUsers:", err.message || err);
+    res.status(500).json({ error: 'Failed to list users', details: err.message });
+  }
+};
+
+// GET /api/admin/users/:userId
+export const getUser = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const user = await getUserOverview(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit({ action: 'admin.user.view', actor: getActor(req), targetType: 'user', targetId: userId });
+    res.json(user);
+  } catch (err) {
+    console.error("Error in getUser:", err.message || err);
+    res.status(500).json({ error: 'Failed to load user', details: err.message });
+  }
+};
+
+// PATCH /api/admin/users/:userId { mood?, contextTokens? } - only the given fields change
+export const patchUser = async (req, res) => {
+  const userId = req.params.userId;
+  const { changes, errors } = validateUserChanges(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid changes', details: errors.join('; ') });
+  }
+
+  try {
+    const user = await updateUser(userId, changes);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit({
+      action: 'admin.user.update',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { fields: Object.keys(changes) },
+    });
+    res.json(user);
+  } catch (err) {
+    console.error("Error in patchUser:", err.message || err);
+    res.status(500).json({ error: 'Failed to update user', details: err.message });
+  }
+};
+
+// GET /api/admin/users/:userId/conversations?limit=20&before=<cursor>&guildId=&channelId=
+export const getUserConversations = async (req, res) => {
+  const userId = req.params.userId;
+  const { guildId, channelId, before, limit } = req.query;
+  if (hasNonStringParam(guildId, channelId, before, limit)) return invalidQuery(res);
+  if (isInvalidDate(before)) return invalidCursor(res);
+
+  try {
+    const page = await listTurns({ userId, guildId, channelId, before, limit });
+    await recordAudit({
+      action: 'admin.conversations.view',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { guildId: guildId || null, channelId: channelId || null, count: page.turns.length },
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Error in getUserConversations:", err.message || err);
+    res.status(500).json({ error: 'Failed to load conversations', details: err.message });
+  }
+};
+
+// GET /api/admin/conversations/search?q=text&userId=&guildId=&limit=20
+export const searchConversations = async (req, res) => {
+  const { userId, guildId, limit } = req.query;
+  if (hasNonStringParam(req.query.q, userId, guildId, limit)) return invalidQuery(res);
+  const query = (req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'Missing query', details: '`q` is required' });
+  }
+
+  try {
+    const results = await searchTurns(query, { userId, guildId, limit });
+    await recordAudit({
+      action: 'admin.conversations.search',
+      actor: getActor(req),
+      targetType: userId ? 'user' : 'conversation',
+      targetId: userId,
+      details: { guildId: guildId || null, count: results.length },
+    });
+    res.json({ results });
+  } catch (err) {
+    console.error("Error in searchConversations:", err.message || err);
+    res.status(500).json({ error: 'Failed to search conversations', details: err.message });
+  }
+};
+
+// GET /api/admin/conversations/flagged?userId=&limit=20&before=<cursor>
+export const getFlaggedConversations = async (req, res) => {
+  const { userId, before, limit } = req.query;
+  if (hasNonStringParam(userId, before, limit)) return invalidQuery(res);
+  if (isInvalidDate(before)) return invalidCursor(res);
+
+  try {
+    const page = await listFlaggedTurns({ userId, before, limit });
+    await recordAudit({
+      action: 'admin.conversations.flagged',
+      actor: getActor(req),
+      targetType: userId ? 'user' : 'conversation',
+      targetId: userId,
+      details: { count: page.turns.length },
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Error in getFlaggedConversations:", err.message || err);
+    res.status(500).json({ error: 'Failed to load flagged conversations', details: err.message });
+  }
+};
+
+// PUT /api/admin/conversations/:turnId/flag { reason? }
+export const putTurnFlag = async (req, res) => {
+  const turnId = req.params.turnId;
+  if (!mongoose.isValidObjectId(turnId)) {
+    return res.status(404).json({ error: 'Turn not found' });
+  }
+  const reasonError = validateFlagReason(req.body?.reason);
+  if (reasonError) {
+    return res.status(400).json({ error: 'Invalid flag', details: reasonError });
+  }
+
+  try {
+    const actor = getActor(req);
+    const turn = await flagTurn(turnId, { reason: req.body?.reason, flaggedBy: actor });
+    if (!turn) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+
+    await recordAudit({
+      action: 'admin.turn.flag',
+      actor,
+      targetType: 'turn',
+      targetId: turnId,
+      details: { userId: turn.userId },
+    });
+    res.json(turn);
+  } catch (err) {
+    console.error("Error in putTurnFlag:", err.message || err);
+    res.status(500).json({ error: 'Failed to flag turn', details: err.message });
+  }
+};
+
+// DELETE /api/admin/conversations/:turnId/flag
+export const deleteTurnFlag = async (req, res) => {
+  const turnId = req.params.turnId;
+  if (!mongoose.isValidObjectId(turnId)) {
+    return res.status(404).json({ error: 'Turn not found' });
+  }
+
+  try {
+    const turn = await unflagTurn(turnId);
+    if (!turn) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+
+    await recordAudit({
+      action: 'admin.turn.unflag',
+      actor: getActor(req),
+      targetType: 'turn',
+      targetId: turnId,
+      details: { userId: turn.userId },
+    });
+    res.json(turn);
+  } catch (err) {
+    console.error("Error in deleteTurnFlag:", err.message || err);
+    res.status(500).json({ error: 'Failed to unflag turn', details: err.message });
+  }
+};
+
+// GET /api/admin/global
+export const getGlobal = async (req, res) => {
+  try {
+    const settings = await getGlobalSettings();
+    await recordAudit({ action: 'admin.global.view', actor: getActor(req), targetType: 'global' });
+    res.json(settings);
+  } catch (err) {
+    console.error("Error in getGlobal:", err.message || err);
+    res.status(500).json({ error: 'Failed to load global settings', details: err.message });
+  }
+};
+
+// PUT /api/admin/global/persona { botPersonality } - null goes back to the built-in description
+export const putGlobalPersona = async (req, res) => {
+  const botPersonality = req.body?.botPersonality;
+  const error = botPersonality === undefined
+    ? '`botPersonality` is required'
+    : validateBotPersonality(botPersonality);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid persona', details: error });
+  }
+
+  try {
+    const settings = await setBotPersonality(botPersonality);
+    await recordAudit({
+      action: 'admin.global.persona.update',
+      actor: getActor(req),
+      targetType: 'global',
+      details: { reset: botPersonality === null, length: settings.botPersonality?.length || 0 },
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error("Error in putGlobalPersona:", err.message || err);
+    res.status(500).json({ error: 'Failed to update global persona', details: err.message });
+  }
+};
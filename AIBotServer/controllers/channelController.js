@@ -0,0 +1,79 @@
+import {
+  CONVERSATION_MODES,
+  getChannelConfig,
+  getChannelContext,
+  getChannelTranscript,
+  setConversationMode,
+  clearChannelMemory,
+} from '../services/channelService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+
+// GET /api/channels/:channelId - conversation mode plus the channel's stored memory
+export const getChannel = async (req, res) => {
+  const channelId = req.params.channelId;
+  try {
+    const config = getChannelConfig();
+    const [channel, transcript] = await Promise.all([
+      getChannelContext(channelId),
+      getChannelTranscript(channelId, { config }),
+    ]);
+
+    res.json({
+      channelId,
+      guildId: channel?.guildId || null,
+      mode: channel?.mode || config.defaultMode,
+      modeIsDefault: !channel?.mode,
+      participants: channel?.participants || {},
+      topics: channel?.topics || [],
+      lastActive: channel?.lastActive || null,
+      transcript,
+    });
+  } catch (err) {
+    console.error("Error in getChannel:", err.message || err);
+    res.status(500).json({ error: 'Failed to load channel', details: err.message });
+  }
+};
+
+// PUT /api/channels/:channelId/mode { mode: private|group|null, guildId } - null goes back to the default
+export const updateChannelMode = async (req, res) => {
+  const channelId = req.params.channelId;
+  const { mode = null, guildId = null } = req.body;
+
+  if (mode !== null && !CONVERSATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode', details: `Expected one of: ${CONVERSATION_MODES.join(', ')} or null` });
+  }
+
+  try {
+    const channel = await setConversationMode({ guildId, channelId }, mode);
+    await recordAudit({
+      action: 'channel.mode.update',
+      actor: getActor(req),
+      targetType: 'channel',
+      targetId: channelId,
+      details: { mode, guildId },
+    });
+    res.json({ channelId, guildId: channel.guildId, mode: channel.mode || getChannelConfig().defaultMode, modeIsDefault: !channel.mode });
+  } catch (err) {
+    console.error("Error in updateChannelMode:", err.message || err);
+    res.status(500).json({ error: 'Failed to update channel mode', details: err.message });
+  }
+};
+
+// DELETE /api/channels/:channelId/memory - forget the channel transcript, participants and topics
+export const forgetChannelMemory = async (req, res) => {
+  const channelId = req.params.channelId;
+  try {
+    const deleted = await clearChannelMemory(channelId);
+    await recordAudit({
+      action: 'channel.memory.delete',
+      actor: getActor(req),
+      targetType: 'channel',
+      targetId: channelId,
+      details: { deleted },
+    });
+    res.json({ deleted });
+  } catch (err) {
+    console.error("Error in forgetChannelMemory:", err.message || err);
+    res.status(500).json({ error: 'Failed to delete channel memory', details: err.message });
+  }
+};
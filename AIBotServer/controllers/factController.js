@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { listFacts, mergeFact, correctFact, deleteFacts, factFromInput } from '../services/facts/factService.js';
+import { FACT_CATEGORIES } from '../services/facts/factExtractor.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+
+const FACT_STATUSES = ['active', 'superseded', 'all'];
+
+// Fact scope keys as produced by resolveMemoryScope: global, dm or guild:<id>
+const FACT_SCOPE_KEY = /^(?:global|dm|guild:\d+)$/;
+
+// GET /api/users/:userId/facts?category=like&status=active|superseded|all&scope=guild:123
+export const getFacts = async (req, res) => {
+  const { category, status = 'active', scope } = req.query;
+
+  if (category && !FACT_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: 'Invalid category', details: `Expected one of: ${FACT_CATEGORIES.join(', ')}` });
+  }
+  if (!FACT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', details: `Expected one of: ${FACT_STATUSES.join(', ')}` });
+  }
+  if (scope && !FACT_SCOPE_KEY.test(scope)) {
+    return res.status(400).json({ error: 'Invalid scope', details: 'Expected global, dm or guild:<guildId>' });
+  }
+
+  try {
+    const scopeKeys = scope ? [scope] : null;
+    res.json({ facts: await listFacts(req.params.userId, { category, status, scopeKeys }) });
+  } catch (err) {
+    console.error("Error in getFacts:", err.message || err);
+    res.status(500).json({ error: 'Failed to load facts', details: err.message });
+  }
+};
+
+// POST /api/users/:userId/facts { category, key, value, scope? } - add a fact the user stated directly
+export const addFact = async (req, res) => {
+  const userId = req.params.userId;
+  const { scope = 'global' } = req.body;
+  const { fact, error } = factFromInput(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid fact', details: error });
+  }
+  if (typeof scope !== 'string' || !FACT_SCOPE_KEY.test(scope)) {
+    return res.status(400).json({ error: 'Invalid fact', details: '`scope` must be global, dm or guild:<guildId>' });
+  }
+
+  try {
+    const result = await mergeFact(userId, fact, { method: 'correction', scopeKey: scope });
+    await recordAudit({
+      action: 'user.fact.add',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { factId: result.fact._id, category: fact.category },
+    });
+    res.status(result.action === 'reinforced' ? 200 : 201).json(result);
+  } catch (err) {
+    console.error("Error in addFact:", err.message || err);
+    res.status(500).json({ error: 'Failed to add fact', details: err.message });
+  }
+};
+
+// PUT /api/users/:userId/facts/:factId { value, key?, category? } - correct a fact
+export const updateFact = async (req, res) => {
+  const { userId, factId } = req.params;
+  if (!mongoose.isValidObjectId(factId)) {
+    return res.status(404).json({ error: 'Fact not found' });
+  }
+
+  try {
+    const fact = await correctFact(userId, factId, req.body);
+    if (!fact) {
+      return res.status(404).json({ error: 'Fact not found' });
+    }
+
+    await recordAudit({
+      action: 'user.fact.correct',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { factId, correctedFactId: fact._id, category: fact.category },
+    });
+    res.json({ fact });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: 'Invalid fact', details: err.message });
+    }
+    console.error("Error in updateFact:", err.message || err);
+    res.status(500).json({ error: 'Failed to correct fact', details: err.message });
+  }
+};
+
+// DELETE /api/users/:userId/facts/:factId
+export const deleteFact = async (req, res) => {
+  const { userId, factId } = req.params;
+  if (!mongoose.isValidObjectId(factId)) {
+    return res.status(404).json({ error: 'Fact not found' });
+  }
+
+  try {
+    const deleted = await deleteFacts(userId, factId);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Fact not found' });
+    }
+
+    await recordAudit({
+      action: 'user.fact.delete',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { factId },
+    });
+    res.json({ deleted });
+  } catch (err) {
+    console.error("Error in deleteFact:", err.message || err);
+    res.status(500).json({ error: 'Failed to delete fact', details: err.message });
+  }
+};
@@ -0,0 +1,79 @@
+import {
+  getGuildSettings,
+  listGuildSettings,
+  validateGuildSettings,
+  updateGuildSettings,
+  resetGuildSettings,
+} from '../services/guildSettingsService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+
+// GET /api/guilds/settings?updatedSince=<ISO date> - every guild's settings, or only recently changed ones
+// The Discord bot polls this with the returned `serverTime` to hot-reload settings
+export const listSettings = async (req, res) => {
+  const { updatedSince } = req.query;
+  if (updatedSince && isNaN(new Date(updatedSince).getTime())) {
+    return res.status(400).json({ error: 'Invalid updatedSince', details: 'Expected an ISO date' });
+  }
+
+  try {
+    const serverTime = new Date().toISOString();
+    res.json({ settings: await listGuildSettings({ updatedSince }), serverTime });
+  } catch (err) {
+    console.error("Error in listSettings:", err.message || err);
+    res.status(500).json({ error: 'Failed to load guild settings', details: err.message });
+  }
+};
+
+// GET /api/guilds/:guildId/settings
+export const getSettings = async (req, res) => {
+  try {
+    res.json(await getGuildSettings(req.params.guildId));
+  } catch (err) {
+    console.error("Error in getSettings:", err.message || err);
+    res.status(500).json({ error: 'Failed to load guild settings', details: err.message });
+  }
+};
+
+// PUT /api/guilds/:guildId/settings { enabled?, allowedChannels?, triggerMode?, ... } - only the given fields change
+export const updateSettings = async (req, res) => {
+  const guildId = req.params.guildId;
+
+  try {
+    const { changes, errors } = await validateGuildSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid settings', details: errors.join('; ') });
+    }
+
+    const settings = await updateGuildSettings(guildId, changes);
+    await recordAudit({
+      action: 'guild.settings.update',
+      actor: getActor(req),
+      targetType: 'guild',
+      targetId: guildId,
+      details: { fields: Object.keys(changes), version: settings.version },
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error("Error in updateSettings:", err.message || err);
+    res.status(500).json({ error: 'Failed to update guild settings', details: err.message });
+  }
+};
+
+// DELETE /api/guilds/:guildId/settings - back to the deployment defaults
+export const resetSettings = async (req, res) => {
+  const guildId = req.params.guildId;
+  try {
+    const settings = await resetGuildSettings(guildId);
+    await recordAudit({
+      action: 'guild.settings.reset',
+      actor: getActor(req),
+      targetType: 'guild',
+      targetId: guildId,
+      details: { version: settings.version },
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error("Error in resetSettings:", err.message || err);
+    res.status(500).json({ error: 'Failed to reset guild settings', details: err.message });
+  }
+};
@@ -0,0 +1,24 @@
+import { getHistoryPage } from '../services/historyService.js';
+import { hasNonStringParam, invalidQuery } from '../../utils/queryParams.js';
+
+/**
+ * Paginated conversation history for a user
+ * GET /api/chat/:userId/history?limit=20&before=<cursor>&channelId=<id>
+ */
+export const historyController = async (req, res) => {
+  const userId = req.params.userId;
+  const { limit, before, channelId } = req.query;
+
+  if (hasNonStringParam(limit, before, channelId)) return invalidQuery(res);
+  if (before && isNaN(new Date(before).getTime())) {
+    return res.status(400).json({ error: 'Invalid cursor', details: '`before` must be an ISO timestamp' });
+  }
+
+  try {
+    const page = await getHistoryPage(userId, { channelId, before, limit });
+    res.json(page);
+  } catch (err) {
+    console.error("Error in historyController:", err.message || err);
+    res.status(500).json({ error: 'Failed to load history', details: err.message });
+  }
+};
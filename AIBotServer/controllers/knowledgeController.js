@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import {
+  listDocuments,
+  getDocument,
+  ingestDocument,
+  deleteDocument,
+  searchKnowledge,
+} from '../services/knowledge/knowledgeService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+import { hasNonStringParam, invalidQuery } from '../../utils/queryParams.js';
+
+// `guildId=global` selects the knowledge shared by every guild
+const guildFilter = (guildId) => guildId === 'global' ? null : guildId;
+
+// GET /api/knowledge/documents?guildId=<id>|global - every document, or only one guild's or the shared ones
+export const getDocuments = async (req, res) => {
+  if (hasNonStringParam(req.query.guildId)) return invalidQuery(res);
+
+  try {
+    res.json({ documents: await listDocuments({ guildId: guildFilter(req.query.guildId) }) });
+  } catch (err) {
+    console.error("Error in getDocuments:", err.message || err);
+    res.status(500).json({ error: 'Failed to list knowledge', details: err.message });
+  }
+};
+
+// GET /api/knowledge/documents/:documentId - a document with its chunks
+export const getDocumentChunks = async (req, res) => {
+  const { documentId } = req.params;
+  if (!mongoose.isValidObjectId(documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const result = await getDocument(documentId);
+    if (!result) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error in getDocumentChunks:", err.message || err);
+    res.status(500).json({ error: 'Failed to load document', details: err.message });
+  }
+};
+
+// POST /api/knowledge/documents { source, content, guildId?, title?, format? } - add or replace a document
+export const postDocument = async (req, res) => {
+  const { source, content, guildId = null, title = null, format } = req.body || {};
+  try {
+    const actor = getActor(req);
+    const { document, status } = await ingestDocument({ guildId, source, title, format, content, ingestedBy: actor });
+    if (status !== 'unchanged') {
+      await recordAudit({
+        action: `knowledge.document.${status === 'created' ? 'add' : 'replace'}`,
+        actor,
+        targetType: 'knowledge',
+        targetId: String(document._id),
+        details: { guildId: document.guildId, source: document.source, chunkCount: document.chunkCount },
+      });
+    }
+    res.status(status === 'created' ? 201 : 200).json({ document, status });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: 'Invalid document', details: err.message });
+    }
+    console.error("Error in postDocument:", err.message || err);
+    res.status(500).json({ error: 'Failed to ingest document', details: err.message });
+  }
+};
+
+// DELETE /api/knowledge/documents/:documentId
+export const removeDocument = async (req, res) => {
+  const { documentId } = req.params;
+  if (!mongoose.isValidObjectId(documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const document = await deleteDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await recordAudit({
+      action: 'knowledge.document.delete',
+      actor: getActor(req),
+      targetType: 'knowledge',
+      targetId: documentId,
+      details: { guildId: document.guildId ?? null, source: document.source, chunkCount: document.chunkCount },
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Error in removeDocument:", err.message || err);
+    res.status(500).json({ error: 'Failed to delete document', details: err.message });
+  }
+};
+
+// GET /api/knowledge/search?q=text&guildId=<id>&limit=3 - the chunks a message in that guild would get
+export const searchDocuments = async (req, res) => {
+  if (hasNonStringParam(req.query.q, req.query.guildId, req.query.limit)) return invalidQuery(res);
+  const query = (req.query.q || '').trim();
+  const limit = req.query.limit !== undefined ? Math.min(Math.max(parseInt(req.query.limit, 10) || 1, 1), 20) : undefined;
+  if (!query) {
+    return res.status(400).json({ error: 'Missing query', details: '`q` is required' });
+  }
+
+  try {
+    res.json({ results: await searchKnowledge(query, { guildId: guildFilter(req.query.guildId) || null, limit }) });
+  } catch (err) {
+    console.error("Error in searchDocuments:", err.message || err);
+    res.status(500).json({ error: 'Failed to search knowledge', details: err.message });
+  }
+};
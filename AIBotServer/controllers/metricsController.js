@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import { registry } from '../services/metrics.js';
+
+/**
+ * Whether the request carries METRICS_TOKEN as a bearer token (always true when no token is set)
+ */
+function isAuthorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// GET /metrics - Prometheus text exposition format
+export const getMetrics = async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized', details: 'Expected Authorization: Bearer <METRICS_TOKEN>' });
+  }
+
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (err) {
+    console.error("Error in getMetrics:", err.message || err);
+    res.status(500).json({ error: 'Failed to collect metrics', details: err.message });
+  }
+};
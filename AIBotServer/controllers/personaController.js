@@ -0,0 +1,151 @@
+import { Persona } from '../models/AiBotDbSchema.js';
+import {
+  assignPersona,
+  unassignPersona,
+  listPersonaAssignments,
+  countPersonaAssignments,
+  BUILT_IN_PERSONA
+} from '../services/personaService.js';
+
+const EDITABLE_FIELDS = ['displayName', 'description', 'styleRules', 'contentRules', 'languagePreferences', 'emojiPolicy', 'userSelectable', 'generation'];
+const SCOPE_TYPES = ['guild', 'channel'];
+
+/**
+ * Pick the editable persona fields out of a request body
+ */
+function pickPersonaFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+/**
+ * Map mongoose validation / duplicate key errors onto HTTP responses
+ */
+function handlePersonaError(res, err, context) {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid persona', details: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'Persona already exists', details: err.message });
+  }
+  console.error(`Error in ${context}:`, err.message || err);
+  res.status(500).json({ error: 'Failed to process persona request', details: err.message });
+}
+
+// GET /api/personas
+export const listPersonas = async (req, res) => {
+  try {
+    const personas = await Persona.find({}).sort({ name: 1 }).lean();
+    res.json({ personas, builtIn: BUILT_IN_PERSONA });
+  } catch (err) {
+    handlePersonaError(res, err, 'listPersonas');
+  }
+};
+
+// GET /api/personas/:name
+export const getPersona = async (req, res) => {
+  try {
+    const persona = await Persona.findOne({ name: req.params.name.toLowerCase() }).lean();
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+    res.json(persona);
+  } catch (err) {
+    handlePersonaError(res, err, 'getPersona');
+  }
+};
+
+// POST /api/personas
+export const createPersona = async (req, res) => {
+  try {
+    const persona = await Persona.create({ name: req.body.name, ...pickPersonaFields(req.body) });
+    res.status(201).json(persona.toObject());
+  } catch (err) {
+    handlePersonaError(res, err, 'createPersona');
+  }
+};
+
+// PUT /api/personas/:name
+export const updatePersona = async (req, res) => {
+  try {
+    const persona = await Persona.findOneAndUpdate(
+      { name: req.params.name.toLowerCase() },
+      { $set: pickPersonaFields(req.body) },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+    res.json(persona);
+  } catch (err) {
+    handlePersonaError(res, err, 'updatePersona');
+  }
+};
+
+// DELETE /api/personas/:name
+export const deletePersona = async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  try {
+    const inUse = await countPersonaAssignments(name);
+    if (inUse > 0) {
+      return res.status(409).json({ error: 'Persona is still assigned', details: `${inUse} guild/channel assignment(s) use "${name}"` });
+    }
+
+    const result = await Persona.deleteOne({ name });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    handlePersonaError(res, err, 'deletePersona');
+  }
+};
+
+// GET /api/personas/assignments
+export const listAssignments = async (req, res) => {
+  try {
+    const assignments = await listPersonaAssignments(req.query.scopeType);
+    res.json({ assignments });
+  } catch (err) {
+    handlePersonaError(res, err, 'listAssignments');
+  }
+};
+
+// PUT /api/personas/assignments/:scopeType/:scopeId  { personaName }
+export const setAssignment = async (req, res) => {
+  const { scopeType, scopeId } = req.params;
+  const personaName = (req.body.personaName || '').toLowerCase();
+
+  if (!SCOPE_TYPES.includes(scopeType)) {
+    return res.status(400).json({ error: 'Invalid scope type', details: `Expected one of: ${SCOPE_TYPES.join(', ')}` });
+  }
+
+  try {
+    const persona = await Persona.findOne({ name: personaName }).lean();
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    const assignment = await assignPersona(scopeType, scopeId, personaName);
+    res.json(assignment);
+  } catch (err) {
+    handlePersonaError(res, err, 'setAssignment');
+  }
+};
+
+// DELETE /api/personas/assignments/:scopeType/:scopeId
+export const removeAssignment = async (req, res) => {
+  const { scopeType, scopeId } = req.params;
+  try {
+    const removed = await unassignPersona(scopeType, scopeId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    handlePersonaError(res, err, 'removeAssignment');
+  }
+};
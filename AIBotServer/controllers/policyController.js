@@ -0,0 +1,68 @@
+import { PolicyDecision } from '../models/AiBotDbSchema.js';
+import { getGuildPolicy, CONTENT_MODES, POLICY_DECISIONS } from '../services/safety/policyService.js';
+import { updateGuildSettings } from '../services/guildSettingsService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+import { hasNonStringParam, invalidQuery } from '../../utils/queryParams.js';
+
+// GET /api/policy/guilds/:guildId
+export const getGuildPolicyController = async (req, res) => {
+  try {
+    res.json(await getGuildPolicy(req.params.guildId));
+  } catch (err) {
+    console.error("Error in getGuildPolicyController:", err.message || err);
+    res.status(500).json({ error: 'Failed to load policy', details: err.message });
+  }
+};
+
+// PUT /api/policy/guilds/:guildId { contentMode } - shorthand for the contentMode guild setting
+export const updateGuildPolicy = async (req, res) => {
+  const guildId = req.params.guildId;
+  const { contentMode } = req.body;
+
+  if (!CONTENT_MODES.includes(contentMode)) {
+    return res.status(400).json({ error: 'Invalid content mode', details: `Expected one of: ${CONTENT_MODES.join(', ')}` });
+  }
+
+  try {
+    await updateGuildSettings(guildId, { contentMode });
+
+    await recordAudit({
+      action: 'guild.policy.update',
+      actor: getActor(req),
+      targetType: 'guild',
+      targetId: guildId,
+      details: { contentMode },
+    });
+
+    res.json({ guildId, contentMode });
+  } catch (err) {
+    console.error("Error in updateGuildPolicy:", err.message || err);
+    res.status(500).json({ error: 'Failed to update policy', details: err.message });
+  }
+};
+
+// GET /api/policy/decisions?userId=&guildId=&decision=&limit=50
+export const listPolicyDecisions = async (req, res) => {
+  const { userId, guildId, decision } = req.query;
+  if (hasNonStringParam(userId, guildId, decision, req.query.limit)) return invalidQuery(res);
+  if (decision && !POLICY_DECISIONS.includes(decision)) {
+    return invalidQuery(res, `\`decision\` must be one of: ${POLICY_DECISIONS.join(', ')}`);
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (guildId) filter.guildId = guildId;
+  if (decision) filter.decision = decision;
+
+  try {
+    const decisions = await PolicyDecision.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ decisions });
+  } catch (err) {
+    console.error("Error in listPolicyDecisions:", err.message || err);
+    res.status(500).json({ error: 'Failed to load policy decisions', details: err.message });
+  }
+};
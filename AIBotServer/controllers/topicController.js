@@ -0,0 +1,29 @@
+import { getTrendingTopics, getTopicConfig } from '../services/topicService.js';
+import { hasNonStringParam, invalidQuery } from '../../utils/queryParams.js';
+
+// GET /api/topics/trending?guildId=<id>&limit=10&at=<ISO date>
+// Without guildId topics are ranked across every guild and DM; `at` ranks them as of an earlier time
+export const getTrending = async (req, res) => {
+  const { guildId, at } = req.query;
+  if (hasNonStringParam(guildId, at, req.query.limit)) return invalidQuery(res);
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const now = at ? new Date(at) : new Date();
+  if (isNaN(now.getTime())) {
+    return res.status(400).json({ error: 'Invalid at', details: 'Expected an ISO date' });
+  }
+
+  try {
+    const config = getTopicConfig();
+    res.json({
+      guildId: guildId || null,
+      at: now.toISOString(),
+      halfLifeHours: config.halfLifeHours,
+      windowDays: config.windowDays,
+      topics: await getTrendingTopics({ guildId: guildId || undefined, limit, now, config }),
+    });
+  } catch (err) {
+    console.error("Error in getTrending:", err.message || err);
+    res.status(500).json({ error: 'Failed to load trending topics', details: err.message });
+  }
+};
@@ -0,0 +1,31 @@
+import { getUsageHistory } from '../services/usageService.js';
+import { getRateLimitConfig } from '../middleware/chatRateLimit.js';
+
+/**
+ * Daily usage counters for one user or guild, with the quotas that apply to it
+ */
+const usageFor = (scopeType) => async (req, res) => {
+  const scopeId = scopeType === 'user' ? req.params.userId : req.params.guildId;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+
+  try {
+    const config = getRateLimitConfig();
+    res.json({
+      scopeType,
+      scopeId,
+      quota: scopeType === 'user'
+        ? { requests: config.dailyUserRequests, tokens: config.dailyUserTokens }
+        : { requests: config.dailyGuildRequests, tokens: config.dailyGuildTokens },
+      days: await getUsageHistory(scopeType, scopeId, { days }),
+    });
+  } catch (err) {
+    console.error(`Error loading ${scopeType} usage:`, err.message || err);
+    res.status(500).json({ error: 'Failed to load usage', details: err.message });
+  }
+};
+
+// GET /api/usage/users/:userId?days=7
+export const getUserUsage = usageFor('user');
+
+// GET /api/usage/guilds/:guildId?days=7
+export const getGuildUsage = usageFor('guild');
@@ -0,0 +1,293 @@
+import { UserContext, Persona } from '../models/AiBotDbSchema.js';
+import { countTurns, deleteTurns } from '../services/historyService.js';
+import { searchMemory } from '../services/retrievalService.js';
+import { listSelectablePersonas } from '../services/personaService.js';
+import { exportUserData, exportToMarkdown, deleteUserData } from '../services/userDataService.js';
+import { recordAudit, getActor } from '../services/auditService.js';
+import { hasMatureConsent } from '../services/safety/policyService.js';
+import { getSummaries, clearSummaries } from '../services/summaryService.js';
+import { listFacts, groupFacts, deleteFacts } from '../services/facts/factService.js';
+import { resolveMemoryScope } from '../services/memoryScope.js';
+import { hasNonStringParam, invalidQuery } from '../../utils/queryParams.js';
+
+// GET /api/users/:userId/profile
+export const getProfile = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const user = await UserContext.findOne({ userId }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      userId,
+      username: user.username || null,
+      mood: user.mood || 'neutral',
+      preferences: groupFacts(await listFacts(userId)),
+      contextTokens: user.contextTokens || [],
+      personaName: user.personaName || null,
+      lastActive: user.lastActive || null,
+      turnCount: await countTurns(userId),
+      summaryScopes: Object.keys(user.summaries || {}).length,
+    });
+  } catch (err) {
+    console.error("Error in getProfile:", err.message || err);
+    res.status(500).json({ error: 'Failed to load profile', details: err.message });
+  }
+};
+
+// DELETE /api/users/:userId/profile - reset mood, remembered facts and entities
+export const resetProfile = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    await UserContext.updateOne(
+      { userId },
+      { $set: { mood: 'neutral', contextTokens: [] }, $unset: { preferences: '' } }
+    );
+    await deleteFacts(userId);
+    res.json({ reset: true });
+  } catch (err) {
+    console.error("Error in resetProfile:", err.message || err);
+    res.status(500).json({ error: 'Failed to reset profile', details: err.message });
+  }
+};
+
+// DELETE /api/users/:userId/history?count=N&guildId=G&channelId=C - all history, or only the N most recent turns
+// With `count` and a guild or channel, only the most recent turns of that conversation's memory scope are deleted
+export const forgetHistory = async (req, res) => {
+  const userId = req.params.userId;
+  const { guildId, channelId } = req.query;
+  const count = req.query.count !== undefined ? parseInt(req.query.count, 10) : undefined;
+
+  if (count !== undefined && (isNaN(count) || count < 1)) {
+    return res.status(400).json({ error: 'Invalid count', details: '`count` must be a positive integer' });
+  }
+  if (hasNonStringParam(guildId, channelId)) {
+    return invalidQuery(res, '`guildId` and `channelId` must be single values');
+  }
+
+  try {
+    const scope = count !== undefined && (guildId || channelId)
+      ? resolveMemoryScope({ guildId: guildId || null, channelId: channelId || null })
+      : null;
+    const deleted = await deleteTurns(userId, { count, scope });
+    // Summaries are derived from the history, so forgetting all of it forgets them too
+    if (count === undefined) await clearSummaries(userId);
+    res.json({ deleted });
+  } catch (err) {
+    console.error("Error in forgetHistory:", err.message || err);
+    res.status(500).json({ error: 'Failed to delete history', details: err.message });
+  }
+};
+
+// GET /api/users/:userId/memory/search?q=text&limit=5&guildId=G&channelId=C
+// With a guild or channel, only turns that conversation's memory scope may see are searched
+export const searchUserMemory = async (req, res) => {
+  const userId = req.params.userId;
+  const { guildId, channelId } = req.query;
+  if (hasNonStringParam(req.query.q, guildId, channelId)) {
+    return invalidQuery(res, '`q`, `guildId` and `channelId` must be single values');
+  }
+
+  const query = (req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+
+  if (!query) {
+    return res.status(400).json({ error: 'Missing query', details: '`q` is required' });
+  }
+
+  try {
+    const scope = guildId || channelId
+      ? resolveMemoryScope({ guildId: guildId || null, channelId: channelId || null })
+      : null;
+    const results = await searchMemory(userId, query, { limit, scope });
+    res.json({
+      results: results.map(turn => ({
+        message: turn.message,
+        response: turn.response,
+        timestamp: turn.timestamp,
+        score: turn.score,
+      })),
+    });
+  } catch (err) {
+    console.error("Error in searchUserMemory:", err.message || err);
+    res.status(500).json({ error: 'Failed to search memory', details: err.message });
+  }
+};
+
+// GET /api/users/:userId/summary - each scope's rolling summary plus its previous versions
+export const getUserSummary = async (req, res) => {
+  try {
+    res.json(await getSummaries(req.params.userId));
+  } catch (err) {
+    console.error("Error in getUserSummary:", err.message || err);
+    res.status(500).json({ error: 'Failed to load summary', details: err.message });
+  }
+};
+
+// GET /api/users/:userId/persona - the user's pick plus the personas they may choose from
+export const getUserPersona = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const user = await UserContext.findOne({ userId }).select('personaName').lean();
+    res.json({
+      personaName: user?.personaName || null,
+      available: await listSelectablePersonas(),
+    });
+  } catch (err) {
+    console.error("Error in getUserPersona:", err.message || err);
+    res.status(500).json({ error: 'Failed to load persona', details: err.message });
+  }
+};
+
+// PUT /api/users/:userId/persona { personaName } - null/empty clears the pick
+export const setUserPersona = async (req, res) => {
+  const userId = req.params.userId;
+  const personaName = (req.body.personaName || '').toLowerCase();
+
+  try {
+    if (!personaName) {
+      await UserContext.updateOne({ userId }, { $unset: { personaName: '' } });
+      return res.json({ personaName: null });
+    }
+
+    const persona = await Persona.findOne({ name: personaName, userSelectable: true }).lean();
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not available', details: `"${personaName}" is not a selectable persona` });
+    }
+
+    await UserContext.updateOne({ userId }, { $set: { personaName } }, { upsert: true });
+    res.json({ personaName, displayName: persona.displayName || persona.name });
+  } catch (err) {
+    console.error("Error in setUserPersona:", err.message || err);
+    res.status(500).json({ error: 'Failed to set persona', details: err.message });
+  }
+};
+
+// GET /api/users/:userId/export?format=json|markdown
+export const exportUser = async (req, res) => {
+  const userId = req.params.userId;
+  const format = (req.query.format || 'json').toLowerCase();
+
+  if (!['json', 'markdown'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', details: 'Expected json or markdown' });
+  }
+
+  try {
+    const data = await exportUserData(userId);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit({
+      action: 'user.export',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { format, turns: data.conversationHistory.length },
+    });
+
+    if (format === 'markdown') {
+      res.type('text/markdown')
+        .attachment(`sakura-export-${userId}.md`)
+        .send(exportToMarkdown(data));
+    } else {
+      res.attachment(`sakura-export-${userId}.json`).json(data);
+    }
+  } catch (err) {
+    console.error("Error in exportUser:", err.message || err);
+    res.status(500).json({ error: 'Failed to export user data', details: err.message });
+  }
+};
+
+// DELETE /api/users/:userId - erase all stored data for the user
+export const deleteUser = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const deleted = await deleteUserData(userId);
+
+    // The audit record keeps only the ID and counts, never the erased content
+    await recordAudit({
+      action: 'user.delete',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { deleted },
+    });
+
+    res.json({ deleted });
+  } catch (err) {
+    console.error("Error in deleteUser:", err.message || err);
+    res.status(500).json({ error: 'Failed to delete user data', details: err.message });
+  }
+};
+
+// GET /api/users/:userId/consent
+export const getConsent = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const user = await UserContext.findOne({ userId }).select('consent').lean();
+    res.json({
+      consent: user?.consent || { ageConfirmed: false, matureContent: false },
+      matureContent: hasMatureConsent(user?.consent),
+    });
+  } catch (err) {
+    console.error("Error in getConsent:", err.message || err);
+    res.status(500).json({ error: 'Failed to load consent', details: err.message });
+  }
+};
+
+// PUT /api/users/:userId/consent { ageConfirmed: true, matureContent: true, source }
+export const grantConsent = async (req, res) => {
+  const userId = req.params.userId;
+  const { ageConfirmed, matureContent, source } = req.body;
+
+  if (ageConfirmed !== true || matureContent !== true) {
+    return res.status(400).json({
+      error: 'Consent not granted',
+      details: 'Both `ageConfirmed` (18 or older) and `matureContent` must be true'
+    });
+  }
+
+  try {
+    const consent = {
+      ageConfirmed: true,
+      matureContent: true,
+      grantedAt: new Date(),
+      source: source || 'api',
+    };
+    await UserContext.updateOne({ userId }, { $set: { consent } }, { upsert: true });
+    await recordAudit({
+      action: 'user.consent.grant',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+      details: { source: consent.source },
+    });
+    res.json({ consent, matureContent: true });
+  } catch (err) {
+    console.error("Error in grantConsent:", err.message || err);
+    res.status(500).json({ error: 'Failed to record consent', details: err.message });
+  }
+};
+
+// DELETE /api/users/:userId/consent - withdraw the mature content opt-in
+export const withdrawConsent = async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    await UserContext.updateOne(
+      { userId },
+      { $set: { 'consent.matureContent': false, 'consent.withdrawnAt': new Date() } }
+    );
+    await recordAudit({
+      action: 'user.consent.withdraw',
+      actor: getActor(req),
+      targetType: 'user',
+      targetId: userId,
+    });
+    res.json({ matureContent: false });
+  } catch (err) {
+    console.error("Error in withdrawConsent:", err.message || err);
+    res.status(500).json({ error: 'Failed to withdraw consent', details: err.message });
+  }
+};
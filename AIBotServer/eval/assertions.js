@@ -0,0 +1,103 @@
+// Checks for the `expect` block of a replay turn
+// Every check returns a list of failure messages; an empty list means the turn passed
+
+const asList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const preview = (text, length = 80) => {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+};
+
+/**
+ * Text checks shared by `reply`, `prompt` and `retrieval.summary`
+ * `expected` is a string (must be contained) or { equals, contains, notContains, matches }
+ */
+function checkText(label, actual, expected) {
+  const text = actual || '';
+  const rules = typeof expected === 'string' ? { contains: expected } : expected;
+  const failures = [];
+
+  if (rules.equals !== undefined && text !== rules.equals) {
+    failures.push(`${label} should equal "${preview(rules.equals)}" but was "${preview(text)}"`);
+  }
+  for (const needle of asList(rules.contains)) {
+    if (!text.toLowerCase().includes(String(needle).toLowerCase())) failures.push(`${label} should contain "${needle}"`);
+  }
+  for (const needle of asList(rules.notContains)) {
+    if (text.toLowerCase().includes(String(needle).toLowerCase())) failures.push(`${label} should not contain "${needle}"`);
+  }
+  for (const pattern of asList(rules.matches)) {
+    if (!new RegExp(pattern, 'i').test(text)) failures.push(`${label} should match /${pattern}/i`);
+  }
+  return failures;
+}
+
+/**
+ * Whether a stored fact matches a partial fact like { category: 'like', value: 'ramen' }
+ * Values compare case-insensitively; a bare string matches the fact's value
+ */
+function factMatches(fact, expected) {
+  const wanted = typeof expected === 'string' ? { value: expected } : expected;
+  return Object.entries(wanted).every(([field, value]) =>
+    String(fact[field] ?? '').toLowerCase() === String(value).toLowerCase()
+  );
+}
+
+function checkFacts(label, facts, expected) {
+  const failures = [];
+  const describe = (fact) => JSON.stringify(fact);
+
+  for (const wanted of asList(expected.includes)) {
+    if (!facts.some(fact => factMatches(fact, wanted))) failures.push(`${label} should include ${describe(wanted)}`);
+  }
+  for (const unwanted of asList(expected.excludes)) {
+    if (facts.some(fact => factMatches(fact, unwanted))) failures.push(`${label} should not include ${describe(unwanted)}`);
+  }
+  if (expected.count !== undefined && facts.length !== expected.count) {
+    failures.push(`${label} should have ${expected.count} facts but had ${facts.length}`);
+  }
+  return failures;
+}
+
+/**
+ * `retrieval.includes`/`excludes` match earlier user messages retrieved for the prompt (recent or relevant)
+ */
+function checkRetrieval(retrieval, expected) {
+  const failures = [];
+  const turns = [...retrieval.recentHistory, ...retrieval.relevantHistory];
+  const retrieved = (needle) => turns.some(turn => (turn.message || '').toLowerCase().includes(String(needle).toLowerCase()));
+
+  for (const needle of asList(expected.includes)) {
+    if (!retrieved(needle)) failures.push(`retrieval should include the turn "${needle}"`);
+  }
+  for (const needle of asList(expected.excludes)) {
+    if (retrieved(needle)) failures.push(`retrieval should not include the turn "${needle}"`);
+  }
+  if (expected.summary !== undefined) {
+    failures.push(...checkText('retrieved summary', retrieval.summary?.text, expected.summary));
+  }
+  if (expected.facts !== undefined) {
+    failures.push(...checkFacts('retrieved facts', retrieval.facts, expected.facts));
+  }
+  return failures;
+}
+
+/**
+ * Compare what a replayed turn produced with its `expect` block
+ * @param {object} expected - { reply, prompt, retrieval, facts, mood }
+ * @param {object} observed - { reply, prompt, retrieval, facts, mood } captured by the harness
+ * @returns {string[]} failure messages
+ */
+export function checkTurn(expected, observed) {
+  const failures = [];
+
+  if (expected.reply !== undefined) failures.push(...checkText('reply', observed.reply, expected.reply));
+  if (expected.prompt !== undefined) failures.push(...checkText('prompt', observed.prompt, expected.prompt));
+  if (expected.retrieval !== undefined) failures.push(...checkRetrieval(observed.retrieval, expected.retrieval));
+  if (expected.facts !== undefined) failures.push(...checkFacts('stored facts', observed.facts, expected.facts));
+  if (expected.mood !== undefined && observed.mood !== expected.mood) {
+    failures.push(`mood should be "${expected.mood}" but was "${observed.mood}"`);
+  }
+
+  return failures;
+}
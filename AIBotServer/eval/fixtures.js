@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+const FIXTURE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const TURN_FIELDS = ['message', 'reply', 'userId', 'userName', 'guildId', 'channelId', 'isDM', 'channelNsfw', 'messageId', 'channelTranscript', 'expect'];
+
+/**
+ * Fixture files under the given files/directories, sorted so runs are reproducible
+ */
+async function findFixtureFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    const stat = await fs.stat(target);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(target);
+      files.push(...await findFixtureFiles(entries.sort().map(entry => path.join(target, entry))));
+    } else if (FIXTURE_EXTENSIONS.includes(path.extname(target))) {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+/**
+ * Check a parsed fixture and fill in defaults
+ * Every turn inherits the fixture's `user` and `location` unless it sets its own fields
+ * @returns {{ fixture?: object, errors: string[] }}
+ */
+export function normalizeFixture(raw, file) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: ['fixture must be an object'] };
+  }
+  if (!Array.isArray(raw.turns) || raw.turns.length === 0) {
+    errors.push('`turns` must be a non-empty list');
+  }
+
+  const user = { id: 'replay-user', name: 'Tester', ...raw.user };
+  const location = { guildId: null, channelId: 'replay-channel', isDM: false, ...raw.location };
+
+  const turns = (raw.turns || []).map((turn, i) => {
+    if (typeof turn === 'string') turn = { message: turn };
+    if (!turn || typeof turn.message !== 'string' || !turn.message.trim()) {
+      errors.push(`turn ${i + 1}: \`message\` must be a non-empty string`);
+      return null;
+    }
+    for (const field of Object.keys(turn)) {
+      if (!TURN_FIELDS.includes(field)) errors.push(`turn ${i + 1}: unknown field \`${field}\``);
+    }
+    if (turn.reply !== undefined && typeof turn.reply !== 'string' && !Array.isArray(turn.reply)) {
+      errors.push(`turn ${i + 1}: \`reply\` must be a string or a list of strings`);
+    }
+
+    return {
+      userId: String(turn.userId ?? user.id),
+      userName: turn.userName ?? (turn.userId ? null : user.name),
+      guildId: turn.guildId !== undefined ? turn.guildId : location.guildId,
+      channelId: turn.channelId ?? location.channelId,
+      isDM: turn.isDM ?? location.isDM,
+      channelNsfw: turn.channelNsfw ?? false,
+      messageId: turn.messageId ?? null,
+      channelTranscript: turn.channelTranscript || [],
+      message: turn.message,
+      replies: [].concat(turn.reply ?? []),
+      expect: turn.expect || {}
+    };
+  });
+
+  return {
+    errors,
+    fixture: {
+      name: raw.name || path.basename(file, path.extname(file)),
+      description: raw.description || '',
+      file,
+      seed: Number.isFinite(raw.seed) ? raw.seed : 1,
+      env: Object.fromEntries(Object.entries(raw.env || {}).map(([key, value]) => [key, String(value)])),
+      summaryReply: raw.summaryReply ?? null,
+      setup: raw.setup || {},
+      turns: turns.filter(Boolean)
+    }
+  };
+}
+
+/**
+ * Load and validate every JSON/YAML fixture under `paths`
+ * @returns {Promise<{ fixtures: object[], errors: string[] }>}
+ */
+export async function loadFixtures(paths) {
+  const fixtures = [];
+  const errors = [];
+
+  for (const file of await findFixtureFiles(paths)) {
+    let raw;
+    try {
+      const text = await fs.readFile(file, 'utf8');
+      raw = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+
+    const { fixture, errors: fixtureErrors } = normalizeFixture(raw, file);
+    if (fixtureErrors.length > 0) {
+      errors.push(...fixtureErrors.map(error => `${file}: ${error}`));
+    } else {
+      fixtures.push(fixture);
+    }
+  }
+
+  return { fixtures, errors };
+}
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import { UserContext } from '../models/AiBotDbSchema.js';
+import { chatController, waitForBackgroundTasks } from '../controllers/chatController.js';
+import { setLLMProvider } from '../services/llm/index.js';
+import { normalizeRequest, normalizeResponse } from '../services/llm/llmTypes.js';
+import { setEmbedder, createEmbedder, getEmbeddingConfig } from '../services/embeddings/index.js';
+import { SUMMARY_INSTRUCTIONS } from '../services/summaryService.js';
+import { setConversationMode } from '../services/channelService.js';
+import { listFacts, mergeFact, factFromInput } from '../services/facts/factService.js';
+import { ingestDocument } from '../services/knowledge/knowledgeService.js';
+import { checkTurn } from './assertions.js';
+
+// Settings every replay starts from, so results don't depend on the local .env; fixtures can override them
+const REPLAY_ENV = {
+  EMBEDDING_PROVIDER: 'none',
+  MEMORY_TRANSCRIPT_SCOPE: 'channel',
+  MEMORY_FACT_SCOPE: 'global',
+  CONVERSATION_MODE: 'private',
+  DEFAULT_CONTENT_MODE: 'nsfw_channels',
+};
+
+/**
+ * Connect mongoose to a throwaway database
+ * Uses `uri` when given (it is wiped before every fixture), otherwise an in-process MongoDB
+ * @returns {Promise<{ stop: () => Promise<void> }>}
+ */
+export async function startDatastore({ uri } = {}) {
+  let server = null;
+  if (!uri) {
+    // Only needed here, so normal server installs don't load it
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    server = await MongoMemoryServer.create();
+    uri = server.getUri('replay');
+  }
+
+  await mongoose.connect(uri);
+  return {
+    async stop() {
+      await mongoose.disconnect();
+      if (server) await server.stop();
+    }
+  };
+}
+
+/**
+ * Mock LLM for replays
+ * Chat calls answer with the current turn's scripted replies (in order, the last one repeats),
+ * or echo the message when none are scripted; summary calls answer with the fixture's `summaryReply`
+ * Every call is captured with the exact request that was built
+ */
+function createReplayProvider({ summaryReply }) {
+  let replies = [];
+  let message = '';
+
+  return {
+    name: 'replay',
+    model: 'replay',
+    calls: [],
+
+    script(turn) {
+      replies = [...turn.replies];
+      message = turn.message;
+    },
+
+    async generate(request) {
+      const normalized = normalizeRequest(request);
+      const kind = normalized.system === SUMMARY_INSTRUCTIONS ? 'summary' : 'chat';
+
+      let text;
+      if (kind === 'summary') {
+        if (!summaryReply) throw new Error('Fixture has no summaryReply for the summarizer');
+        text = summaryReply;
+      } else {
+        text = (replies.length > 1 ? replies.shift() : replies[0]) ?? `Mock reply to: ${message}`;
+      }
+
+      this.calls.push({ kind, request: normalized, text });
+      return normalizeResponse({ text, provider: 'replay', model: 'replay', finishReason: 'STOP' });
+    }
+  };
+}
+
+/**
+ * Deterministic replacement for Math.random (mulberry32), so random choices in the pipeline replay the same way
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Set environment variables, returning a function that puts the previous values back
+ */
+function applyEnv(values) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  return () => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+}
+
+/**
+ * Call an express controller with a minimal request/response pair
+ * @returns {Promise<{ status: number, body: object, locals: object }>}
+ */
+async function invokeController(controller, { params, body }) {
+  let result = null;
+  const res = {
+    statusCode: 200,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      result = { status: this.statusCode, body: payload, locals: this.locals };
+      return this;
+    }
+  };
+
+  await controller({ params, body, headers: {}, get: () => undefined }, res);
+  return result || { status: res.statusCode, body: null, locals: res.locals };
+}
+
+/**
+ * Store the fixture's starting state
+ * `setup.channelModes` maps channel IDs to conversation modes, `setup.facts` are facts the user told the bot before,
+ * e.g. { category: 'like', value: 'ramen' } (optionally with `userId` and `scope`), and `setup.knowledge` are knowledge
+ * base documents, e.g. { source: 'rules.md', content: '...' } (optionally with `guildId`, `title` and `format`)
+ */
+async function applySetup(fixture) {
+  const { channelModes = {}, facts = [], knowledge = [] } = fixture.setup;
+  for (const [channelId, mode] of Object.entries(channelModes)) {
+    await setConversationMode({ guildId: fixture.turns[0].guildId, channelId }, mode);
+  }
+  for (const { userId = fixture.turns[0].userId, scope = 'global', confidence = 0.8, ...input } of facts) {
+    const { fact, error } = factFromInput(input);
+    if (error) throw new Error(`Invalid setup fact ${JSON.stringify(input)}: ${error}`);
+    await mergeFact(String(userId), { ...fact, confidence }, { scopeKey: scope });
+  }
+  for (const document of knowledge) {
+    await ingestDocument({ ...document, guildId: document.guildId ?? null, ingestedBy: 'replay' });
+  }
+}
+
+/**
+ * Trim stored documents to what is worth reading in a report
+ */
+function summarizeRetrieval(retrieval = {}) {
+  const turn = (t) => ({ message: t.message, response: t.response, timestamp: t.timestamp });
+  return {
+    recentHistory: (retrieval.recentHistory || []).map(turn),
+    relevantHistory: (retrieval.relevantHistory || []).map(turn),
+    facts: (retrieval.facts || []).map(({ category, key, value, confidence, scopeKey }) => ({ category, key, value, confidence, scopeKey })),
+    summary: retrieval.summary || null,
+    globalTopics: retrieval.globalTopics || [],
+    knowledge: (retrieval.knowledge || []).map(({ label, score }) => ({ label, score })),
+    context: retrieval.context || null
+  };
+}
+
+/**
+ * Replay one fixture turn by turn through the chat pipeline against an empty database
+ * Background memory upkeep (summaries, retention) finishes before the next turn starts
+ * @returns {Promise<object>} report with the captured prompts, retrieval and failures of every turn
+ */
+export async function runFixture(fixture) {
+  // Empty the collections rather than dropping the database, which would also drop the models' indexes
+  await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+
+  const restoreEnv = applyEnv({
+    ...REPLAY_ENV,
+    SUMMARY_USE_LLM: fixture.summaryReply ? 'true' : 'false',
+    ...fixture.env
+  });
+  const random = Math.random;
+  Math.random = seededRandom(fixture.seed);
+  const llm = createReplayProvider(fixture);
+  setLLMProvider(llm);
+  setEmbedder(createEmbedder(getEmbeddingConfig()));
+
+  const report = { name: fixture.name, file: fixture.file, passed: true, turns: [], error: null };
+  try {
+    await applySetup(fixture);
+
+    for (const [index, turn] of fixture.turns.entries()) {
+      llm.script(turn);
+      const firstCall = llm.calls.length;
+      const { userId, message, replies, expect, ...location } = turn;
+
+      const response = await invokeController(chatController, {
+        params: { userId },
+        body: { message, ...location }
+      });
+      await waitForBackgroundTasks();
+
+      const [user, facts] = await Promise.all([
+        UserContext.findOne({ userId }).select('mood').lean(),
+        listFacts(userId)
+      ]);
+      const observed = {
+        reply: response.body?.message ?? null,
+        prompt: response.locals.chatTurn?.prompt ?? '',
+        retrieval: summarizeRetrieval(response.locals.chatTurn?.retrieval),
+        facts,
+        mood: user?.mood ?? null
+      };
+
+      const failures = response.status === 200
+        ? checkTurn(expect, observed)
+        : [`chat failed with ${response.status}: ${response.body?.details || response.body?.error}`];
+      if (failures.length > 0) report.passed = false;
+
+      report.turns.push({
+        turn: index + 1,
+        userId,
+        message,
+        reply: observed.reply,
+        mood: observed.mood,
+        prompt: observed.prompt,
+        retrieval: observed.retrieval,
+        storedFacts: facts.map(({ category, key, value, confidence, scopeKey }) => ({ category, key, value, confidence, scopeKey })),
+        llmCalls: llm.calls.slice(firstCall).map(({ kind, request, text }) => ({ kind, request, reply: text })),
+        failures
+      });
+    }
+  } catch (err) {
+    report.passed = false;
+    report.error = err.stack || err.message || String(err);
+  } finally {
+    await waitForBackgroundTasks();
+    Math.random = random;
+    setLLMProvider(null);
+    setEmbedder(undefined);
+    restoreEnv();
+  }
+
+  return report;
+}
@@ -0,0 +1,90 @@
+// Replay scripted conversations through the chat pipeline and check what the bot remembered
+// Usage: npm run eval:replay -- [fixture files or directories] [--filter text] [--out report.json] [--mongo-uri uri] [--verbose]
+// Fixtures default to AIBotServer/eval/fixtures; see the README for the fixture format.
+// Without --mongo-uri (or REPLAY_MONGO_URI) an in-process MongoDB is started; a given database is emptied before every fixture.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadFixtures } from './fixtures.js';
+import { startDatastore, runFixture } from './harness.js';
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function parseArgs(argv) {
+  const options = { paths: [], filter: null, out: null, mongoUri: process.env.REPLAY_MONGO_URI || null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--filter') options.filter = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--mongo-uri') options.mongoUri = argv[++i];
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.paths.push(arg);
+  }
+  if (options.paths.length === 0) options.paths.push(DEFAULT_FIXTURES);
+  return options;
+}
+
+/**
+ * Print one fixture's outcome; failing turns show their failures, and their prompt with --verbose
+ */
+function printReport(report, verbose) {
+  console.log(`${report.passed ? 'PASS' : 'FAIL'} ${report.name} (${path.relative(process.cwd(), report.file)})`);
+  if (report.error) console.log(`  ${report.error}`);
+
+  for (const turn of report.turns) {
+    if (turn.failures.length === 0) continue;
+    console.log(`  turn ${turn.turn}: "${turn.message}"`);
+    for (const failure of turn.failures) console.log(`    - ${failure}`);
+    if (verbose) console.log(`    prompt:\n${turn.prompt.replace(/^/gm, '      | ')}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const { fixtures, errors } = await loadFixtures(options.paths);
+  for (const error of errors) console.error(`Invalid fixture ${error}`);
+  const selected = options.filter
+    ? fixtures.filter(fixture => fixture.name.toLowerCase().includes(options.filter.toLowerCase()))
+    : fixtures;
+  if (selected.length === 0) {
+    console.error('No fixtures to replay');
+    process.exitCode = 1;
+    return;
+  }
+
+  const datastore = await startDatastore({ uri: options.mongoUri });
+  const reports = [];
+  const log = console.log;
+  try {
+    for (const fixture of selected) {
+      // The pipeline's own progress logging would drown out the results
+      if (!options.verbose) console.log = () => {};
+      let report;
+      try {
+        report = await runFixture(fixture);
+      } finally {
+        console.log = log;
+      }
+      reports.push(report);
+      printReport(report, options.verbose);
+    }
+  } finally {
+    await datastore.stop();
+  }
+
+  const failed = reports.filter(report => !report.passed).length;
+  console.log(`\n${reports.length - failed} passed, ${failed} failed${errors.length > 0 ? `, ${errors.length} invalid fixtures` : ''}`);
+
+  if (options.out) {
+    await fs.writeFile(options.out, JSON.stringify({ createdAt: new Date().toISOString(), reports }, null, 2));
+    console.log(`Report with captured prompts written to ${options.out}`);
+  }
+  if (failed > 0 || errors.length > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Replay failed:', err);
+  process.exitCode = 1;
+});
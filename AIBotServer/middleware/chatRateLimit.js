@@ -0,0 +1,118 @@
+import { createSlidingWindowLimiter } from '../services/rateLimiter.js';
+import { getDailyUsage } from '../services/usageService.js';
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+let cachedLimiters = null;
+
+/**
+ * Rate limit settings from the environment; a max or quota of 0 turns that limit off
+ */
+export function getRateLimitConfig() {
+  return {
+    userMax: readInt(process.env.RATE_LIMIT_USER_MAX, 5),
+    userWindowSeconds: readInt(process.env.RATE_LIMIT_USER_WINDOW_SECONDS, 60),
+    guildMax: readInt(process.env.RATE_LIMIT_GUILD_MAX, 30),
+    guildWindowSeconds: readInt(process.env.RATE_LIMIT_GUILD_WINDOW_SECONDS, 60),
+    dailyUserRequests: readInt(process.env.DAILY_USER_REQUEST_QUOTA, 0),
+    dailyUserTokens: readInt(process.env.DAILY_USER_TOKEN_QUOTA, 0),
+    dailyGuildRequests: readInt(process.env.DAILY_GUILD_REQUEST_QUOTA, 0),
+    dailyGuildTokens: readInt(process.env.DAILY_GUILD_TOKEN_QUOTA, 0),
+  };
+}
+
+function getLimiters() {
+  if (cachedLimiters) return cachedLimiters;
+
+  const config = getRateLimitConfig();
+  cachedLimiters = {
+    config,
+    user: config.userMax > 0
+      ? createSlidingWindowLimiter({ max: config.userMax, windowMs: config.userWindowSeconds * 1000 })
+      : null,
+    guild: config.guildMax > 0
+      ? createSlidingWindowLimiter({ max: config.guildMax, windowMs: config.guildWindowSeconds * 1000 })
+      : null,
+  };
+  return cachedLimiters;
+}
+
+/**
+ * Seconds until the next UTC day, when daily quotas reset
+ */
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+/**
+ * Whether today's counters have reached a request or token quota
+ */
+async function quotaExceeded(scopeType, scopeId, maxRequests, maxTokens) {
+  if (!scopeId || (maxRequests <= 0 && maxTokens <= 0)) return false;
+
+  const usage = await getDailyUsage(scopeType, scopeId);
+  return (maxRequests > 0 && usage.requests >= maxRequests)
+    || (maxTokens > 0 && usage.totalTokens >= maxTokens);
+}
+
+/**
+ * Reply 429 with the limit that was hit; the scope and reason are also sent as headers
+ * so clients reading a streamed response can tell what happened without parsing the body
+ */
+function rejectRequest(res, { scope, reason, retryAfter }) {
+  res.set({
+    'Retry-After': String(retryAfter),
+    'X-RateLimit-Scope': scope,
+    'X-RateLimit-Reason': reason,
+  });
+  res.status(429).json({
+    error: 'Too many requests',
+    code: reason === 'daily_quota' ? 'quota_exceeded' : 'rate_limited',
+    scope,
+    retryAfter,
+  });
+}
+
+/**
+ * Express middleware limiting chat requests per user and per guild:
+ * a sliding window against bursts, then the daily request/token quotas
+ */
+export async function chatRateLimit(req, res, next) {
+  const { config, user, guild } = getLimiters();
+  const userId = req.params.userId;
+  const guildId = req.body?.guildId;
+  const now = Date.now();
+
+  const userCheck = user ? user.check(userId, now) : { allowed: true };
+  if (!userCheck.allowed) {
+    return rejectRequest(res, { scope: 'user', reason: 'window', retryAfter: Math.ceil(userCheck.retryAfterMs / 1000) });
+  }
+
+  const guildCheck = guild && guildId ? guild.check(guildId, now) : { allowed: true };
+  if (!guildCheck.allowed) {
+    return rejectRequest(res, { scope: 'guild', reason: 'window', retryAfter: Math.ceil(guildCheck.retryAfterMs / 1000) });
+  }
+
+  // Record the hits before any await so concurrent requests can't slip past the window
+  user?.hit(userId, now);
+  if (guildId) guild?.hit(guildId, now);
+
+  try {
+    if (await quotaExceeded('user', userId, config.dailyUserRequests, config.dailyUserTokens)) {
+      return rejectRequest(res, { scope: 'user', reason: 'daily_quota', retryAfter: secondsUntilTomorrow() });
+    }
+    if (await quotaExceeded('guild', guildId, config.dailyGuildRequests, config.dailyGuildTokens)) {
+      return rejectRequest(res, { scope: 'guild', reason: 'daily_quota', retryAfter: secondsUntilTomorrow() });
+    }
+  } catch (err) {
+    // A usage lookup failure shouldn't take chat down; the sliding windows still apply
+    console.error("Error checking daily quota:", err.message || err);
+  }
+
+  next();
+}
@@ -0,0 +1,98 @@
+import {
+  API_KEY_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  signRequest,
+  signaturesMatch,
+} from '../../utils/requestSigning.js';
+
+let cachedConfig = null;
+
+/**
+ * Read API clients from the environment (parsed once, after dotenv has loaded)
+ * API_CLIENTS is a comma-separated list of `keyId:secret` or `keyId:secret:scope1|scope2`;
+ * a client without scopes may call every API
+ */
+export function getAuthConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  const clients = new Map();
+  for (const entry of (process.env.API_CLIENTS || '').split(',')) {
+    const [keyId, secret, scopes] = entry.trim().split(':');
+    if (!keyId || !secret) continue;
+    clients.set(keyId, { id: keyId, secret, scopes: scopes ? scopes.split('|') : null });
+  }
+
+  cachedConfig = {
+    disabled: process.env.API_AUTH_DISABLED === 'true',
+    maxSkewMs: (parseInt(process.env.API_AUTH_MAX_SKEW_SECONDS, 10) || 300) * 1000,
+    clients,
+  };
+  return cachedConfig;
+}
+
+// Signatures already accepted, kept until their timestamp falls outside the allowed skew
+const seenSignatures = new Map();
+
+function rememberSignature(signature, expiresAt) {
+  const now = Date.now();
+  for (const [seen, expiry] of seenSignatures) {
+    if (expiry <= now) seenSignatures.delete(seen);
+  }
+  seenSignatures.set(signature, expiresAt);
+}
+
+const unauthorized = (res, details) => res.status(401).json({ error: 'Unauthorized', details });
+const forbidden = (res, details) => res.status(403).json({ error: 'Forbidden', details });
+
+/**
+ * Express middleware requiring a signed request from a client allowed to use `scope`
+ * - 401 when the request is unsigned, the key is unknown or the signature doesn't match
+ * - 403 when a correctly signed request is stale, replayed or outside the client's scopes
+ */
+export function requireApiClient(scope) {
+  return (req, res, next) => {
+    const config = getAuthConfig();
+    if (config.disabled) return next();
+
+    const keyId = req.get(API_KEY_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    const signature = req.get(SIGNATURE_HEADER);
+
+    if (!keyId || !timestamp || !signature) {
+      return unauthorized(res, `Requests must carry ${API_KEY_HEADER}, ${TIMESTAMP_HEADER} and ${SIGNATURE_HEADER} headers`);
+    }
+
+    const client = config.clients.get(keyId);
+    if (!client) {
+      return unauthorized(res, 'Unknown API key');
+    }
+
+    const expected = signRequest(client.secret, {
+      timestamp,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody || '',
+    });
+    if (!signaturesMatch(expected, signature)) {
+      return unauthorized(res, 'Invalid signature');
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > config.maxSkewMs) {
+      return forbidden(res, 'Request timestamp is outside the allowed window');
+    }
+
+    if (seenSignatures.has(signature)) {
+      return forbidden(res, 'Request has already been used');
+    }
+    rememberSignature(signature, sentAt + config.maxSkewMs);
+
+    if (client.scopes && !client.scopes.includes(scope)) {
+      return forbidden(res, `API key is not allowed to use the ${scope} API`);
+    }
+
+    req.apiClient = { id: client.id, scopes: client.scopes };
+    next();
+  };
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEY_HEADER, TIMESTAMP_HEADER, SIGNATURE_HEADER, signRequest } from '../../utils/requestSigning.js';
+
+// The client list is read from the environment once, on the first request
+process.env.API_CLIENTS = 'bot:bot-secret:chat|users,dashboard:dashboard-secret';
+delete process.env.API_AUTH_DISABLED;
+delete process.env.API_AUTH_MAX_SKEW_SECONDS;
+const { requireApiClient } = await import('./requestAuth.js');
+
+let sequence = 0;
+
+/**
+ * A request signed like the bot's API client; every call gets a distinct body so only deliberate replays repeat
+ */
+function signedRequest({ keyId = 'bot', secret = 'bot-secret', timestamp = Date.now(), method = 'POST', path = '/api/chat/42', body } = {}) {
+  body ??= JSON.stringify({ message: `hello ${++sequence}` });
+  const headers = {
+    [API_KEY_HEADER]: keyId,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signRequest(secret, { timestamp: String(timestamp), method, path, body }),
+  };
+  return { method, originalUrl: path, rawBody: body, headers, get: (name) => headers[name] };
+}
+
+function run(scope, req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let nextCalled = false;
+  requireApiClient(scope)(req, res, () => { nextCalled = true; });
+  return { status: nextCalled ? 'next' : res.statusCode, body: res.body };
+}
+
+test('accepts a correctly signed request and names the client', () => {
+  const req = signedRequest();
+  assert.equal(run('chat', req).status, 'next');
+  assert.deepEqual(req.apiClient, { id: 'bot', scopes: ['chat', 'users'] });
+});
+
+test('rejects unsigned requests, unknown keys and bad signatures with 401', () => {
+  const unsigned = signedRequest();
+  delete unsigned.headers[SIGNATURE_HEADER];
+  assert.equal(run('chat', unsigned).status, 401);
+
+  assert.equal(run('chat', signedRequest({ keyId: 'stranger' })).status, 401);
+  assert.equal(run('chat', signedRequest({ secret: 'wrong-secret' })).status, 401);
+});
+
+test('rejects a request whose body or path was changed after signing', () => {
+  const tamperedBody = signedRequest();
+  tamperedBody.rawBody = '{"message":"something else"}';
+  assert.equal(run('chat', tamperedBody).status, 401);
+
+  const tamperedPath = signedRequest();
+  tamperedPath.originalUrl = '/api/chat/43';
+  assert.equal(run('chat', tamperedPath).status, 401);
+});
+
+test('rejects replays of an accepted request with 403', () => {
+  const req = signedRequest();
+  assert.equal(run('chat', req).status, 'next');
+
+  const replay = run('chat', req);
+  assert.equal(replay.status, 403);
+  assert.match(replay.body.details, /already been used/);
+});
+
+test('rejects stale and future timestamps with 403', () => {
+  assert.equal(run('chat', signedRequest({ timestamp: Date.now() - 10 * 60 * 1000 })).status, 403);
+  assert.equal(run('chat', signedRequest({ timestamp: Date.now() + 10 * 60 * 1000 })).status, 403);
+  assert.equal(run('chat', signedRequest({ timestamp: 'yesterday' })).status, 403);
+});
+
+test('rejects APIs outside the client scopes with 403', () => {
+  const result = run('admin', signedRequest());
+  assert.equal(result.status, 403);
+  assert.match(result.body.details, /admin API/);
+
+  assert.equal(run('users', signedRequest()).status, 'next');
+  // A client without scopes may call every API
+  assert.equal(run('admin', signedRequest({ keyId: 'dashboard', secret: 'dashboard-secret' })).status, 'next');
+});
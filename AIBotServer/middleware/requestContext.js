@@ -0,0 +1,36 @@
+import { REQUEST_ID_HEADER, createRequestId, isValidRequestId } from '../../utils/requestId.js';
+import { runWithRequestContext, logger } from '../services/logger.js';
+import { observeHttpRequest } from '../services/metrics.js';
+
+/**
+ * Express middleware giving every request an ID and recording it when it finishes
+ * The Discord bot sends its own X-Request-Id so its logs and ours can be matched; other callers get a new one.
+ * The ID is echoed back, attached to every log line written while handling the request,
+ * and the request's route, status and latency go to the logs and the HTTP metrics
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = isValidRequestId(incoming) ? incoming : createRequestId();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The matched route pattern keeps user IDs out of metric labels
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    observeHttpRequest({ method: req.method, route, status: res.statusCode, seconds });
+    logger.info('request completed', {
+      requestId,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      client: req.apiClient?.id,
+    });
+  });
+
+  runWithRequestContext({ requestId }, next);
+}
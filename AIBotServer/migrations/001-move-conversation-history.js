@@ -0,0 +1,67 @@
+// One-time migration: move embedded UserContext.conversationHistory into the ConversationTurn collection
+// Usage: npm run migrate:history
+// Safe to re-run: turns are upserted by (userId, timestamp, message) and the embedded array is only
+// removed after its turns are stored.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { UserContext, ConversationTurn } from '../models/AiBotDbSchema.js';
+
+dotenv.config();
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Read through the raw collection, the field is no longer part of the schema
+    const cursor = UserContext.collection.find(
+        { conversationHistory: { $exists: true } },
+        { projection: { userId: 1, conversationHistory: 1 } }
+    );
+
+    let usersMigrated = 0;
+    let turnsMigrated = 0;
+
+    for await (const user of cursor) {
+        const history = Array.isArray(user.conversationHistory) ? user.conversationHistory : [];
+
+        if (history.length > 0) {
+            const operations = history.map((conv, idx) => {
+                // Legacy entries may lack a timestamp; keep them ordered behind the dated ones
+                const timestamp = conv.timestamp ? new Date(conv.timestamp) : new Date(idx);
+                return {
+                    updateOne: {
+                        filter: { userId: user.userId, timestamp, message: conv.message },
+                        update: {
+                            $setOnInsert: {
+                                userId: user.userId,
+                                channelId: null,
+                                message: conv.message,
+                                response: conv.response,
+                                entities: conv.entities || [],
+                                timestamp,
+                            },
+                        },
+                        upsert: true,
+                    },
+                };
+            });
+
+            const result = await ConversationTurn.bulkWrite(operations, { ordered: false });
+            turnsMigrated += result.upsertedCount || 0;
+        }
+
+        await UserContext.collection.updateOne({ _id: user._id }, { $unset: { conversationHistory: '' } });
+        usersMigrated++;
+    }
+
+    await ConversationTurn.syncIndexes();
+
+    console.log(`Migrated ${turnsMigrated} turns from ${usersMigrated} users`);
+}
+
+migrate()
+    .catch((err) => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+// Compute embeddings for stored turns that don't have one for the configured embedder yet
+// Usage: EMBEDDING_PROVIDER=local npm run embeddings:backfill
+// Also re-embeds turns when switching to a different embedding model.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { ConversationTurn } from '../models/AiBotDbSchema.js';
+import { getEmbedder } from '../services/embeddings/index.js';
+import { turnEmbeddingText } from '../services/retrievalService.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 64;
+
+async function backfill() {
+    const embedder = getEmbedder();
+    if (!embedder) {
+        throw new Error('No embedder configured, set EMBEDDING_PROVIDER');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    let embedded = 0;
+    for (;;) {
+        const batch = await ConversationTurn.find({ embeddingModel: { $ne: embedder.model } })
+            .select('_id message response')
+            .limit(BATCH_SIZE)
+            .lean();
+        if (batch.length === 0) break;
+
+        const vectors = await embedder.embed(batch.map(turn => turnEmbeddingText(turn.message, turn.response)));
+        await ConversationTurn.bulkWrite(batch.map((turn, idx) => ({
+            updateOne: {
+                filter: { _id: turn._id },
+                update: { $set: { embedding: vectors[idx], embeddingModel: embedder.model } },
+            },
+        })));
+
+        embedded += batch.length;
+        console.log(`Embedded ${embedded} turns...`);
+    }
+
+    console.log(`Done, embedded ${embedded} turns with ${embedder.model}`);
+}
+
+backfill()
+    .catch((err) => {
+        console.error('Embedding backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Move the legacy regex `preferences` object on each user into the UserFact collection
+// Usage: npm run migrate:facts
+// Legacy likes/dislikes were also scraped from the bot's own replies, so they are imported with low confidence.
+// Legacy favorites only stored the category ("color") without a value and are dropped.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { UserContext } from '../models/AiBotDbSchema.js';
+import { mergeFact } from '../services/facts/factService.js';
+import { normalizeKey } from '../services/facts/factExtractor.js';
+
+dotenv.config();
+
+const MIGRATED_CONFIDENCE = 0.4;
+const LEGACY_CATEGORIES = { likes: 'like', dislikes: 'dislike' };
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const cursor = UserContext.find({ preferences: { $exists: true } })
+        .select('userId preferences')
+        .lean()
+        .cursor();
+
+    let users = 0;
+    let facts = 0;
+    for await (const user of cursor) {
+        for (const [type, category] of Object.entries(LEGACY_CATEGORIES)) {
+            for (const value of [].concat(user.preferences?.[type] || [])) {
+                const key = normalizeKey(String(value));
+                if (key.length < 3) continue;
+
+                await mergeFact(user.userId, { category, key, value: String(value), confidence: MIGRATED_CONFIDENCE }, { method: 'migrated' });
+                facts++;
+            }
+        }
+
+        await UserContext.updateOne({ _id: user._id }, { $unset: { preferences: '' } });
+        users++;
+    }
+
+    console.log(`Done, migrated ${facts} facts for ${users} users`);
+}
+
+migrate()
+    .catch((err) => {
+        console.error('Preference migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
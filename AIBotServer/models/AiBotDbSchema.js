@@ -1,32 +1,323 @@
 import mongoose from 'mongoose';
 
+// A document ingested into the knowledge base; its chunks live in their own collection (KnowledgeChunk)
+const knowledgeDocumentSchema = new mongoose.Schema({
+    guildId: { type: String, default: null }, // null for knowledge shared by every guild and DM
+    source: { type: String, required: true }, // File name or label the bot cites, unique per guild
+    title: String,
+    format: { type: String, enum: ['markdown', 'text', 'json'] },
+    contentHash: String, // sha256 of the ingested content, so unchanged re-uploads can be skipped
+    characters: Number,
+    chunkCount: Number,
+    embeddingModel: String,
+    ingestedAt: Date,
+    ingestedBy: String,
+});
+
 // Global context schema (shared knowledge)
 const globalContextSchema = new mongoose.Schema({
     botPersonality: String,
-    knowledgeBase: Array,
-    recentGlobalTopics: Array,
+    knowledgeBase: [knowledgeDocumentSchema],
+    recentGlobalTopics: Array, // Superseded by TopicBucket, no longer written
     lastUpdate: Date,
 });
 
+// One versioned rolling conversation summary, with its earlier versions
+const summaryVersionFields = {
+    text: String,
+    version: { type: Number, default: 0 },
+    coveredUntil: Date, // Timestamp of the newest turn folded into the summary
+    turnCount: { type: Number, default: 0 }, // Turns folded in across all versions
+    method: { type: String, enum: ['llm', 'fallback'] },
+    updatedAt: Date,
+};
+
+const conversationSummarySchema = new mongoose.Schema({
+    ...summaryVersionFields,
+    // Earlier versions, oldest first (capped by SUMMARY_HISTORY_LIMIT)
+    history: [new mongoose.Schema(summaryVersionFields, { _id: false })],
+}, { _id: false });
+
 // User context schema (individual user memory)
+// Conversation history lives in its own collection (ConversationTurn)
 const userContextSchema = new mongoose.Schema({
     userId: String,
     username: String,
-    conversationHistory: [
-        {
-            message: String,
-            response: String,
-            timestamp: Date,
-        },
-    ],
     mood: String,
-    preferences: Object,
+    preferences: Object, // Legacy regex preferences, moved into UserFact by migration 003
     contextTokens: Array,
     lastActive: Date,
+    personaName: String, // Persona the user picked with /persona (must be userSelectable)
+    // Age/consent opt-in required before any mature content
+    consent: {
+        ageConfirmed: { type: Boolean, default: false },
+        matureContent: { type: Boolean, default: false },
+        grantedAt: Date,
+        withdrawnAt: Date,
+        source: String,
+    },
+    // Rolling summaries of turns that have aged out of recent history, keyed by conversation
+    // scope (see memoryScope.js and summaryService.js)
+    summaries: { type: Map, of: conversationSummarySchema },
+});
+
+// Conversation turn schema (one user message + bot reply)
+const conversationTurnSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    guildId: { type: String, default: null }, // null for DMs and API callers
+    channelId: { type: String, default: null },
+    message: String,
+    response: String,
+    entities: [String],
+    timestamp: { type: Date, default: Date.now },
+    // Vector for semantic retrieval, computed once when the turn is stored
+    embedding: { type: [Number], default: undefined, select: false },
+    embeddingModel: String,
+    // Set by an operator through the admin API to mark a turn for review
+    flag: {
+        type: new mongoose.Schema({
+            reason: String,
+            flaggedBy: String,
+            flaggedAt: Date,
+        }, { _id: false }),
+        default: undefined,
+    },
+});
+
+conversationTurnSchema.index({ userId: 1, timestamp: -1 });
+conversationTurnSchema.index({ userId: 1, channelId: 1, timestamp: -1 });
+conversationTurnSchema.index({ userId: 1, guildId: 1, timestamp: -1 });
+conversationTurnSchema.index({ userId: 1, embeddingModel: 1, timestamp: -1 });
+conversationTurnSchema.index({ 'flag.flaggedAt': -1 }, { sparse: true });
+conversationTurnSchema.index({ message: 'text', response: 'text' }); // Admin full-text search
+
+// Gemini safety setting values a persona may use
+const GEMINI_HARM_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT',
+    'HARM_CATEGORY_CIVIC_INTEGRITY',
+];
+const GEMINI_HARM_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE', 'OFF'];
+
+// Persona schema (named bot personalities)
+const personaSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9_-]{2,32}$/,
+    },
+    displayName: String,
+    description: { type: String, required: true },
+    styleRules: [String],
+    contentRules: [String],
+    languagePreferences: {
+        primary: { type: String, default: 'english' },
+        allowed: [String],
+        mirrorUser: { type: Boolean, default: true },
+    },
+    emojiPolicy: { type: String, enum: ['none', 'minimal', 'allowed'], default: 'none' },
+    userSelectable: { type: Boolean, default: false }, // Users may pick it for themselves via /persona
+    // Sampling settings sent with every chat request for this persona; unset fields use the provider's defaults
+    generation: {
+        temperature: { type: Number, min: 0, max: 2 },
+        maxOutputTokens: { type: Number, min: 1, max: 8192 },
+        topP: { type: Number, min: 0, max: 1 },
+        stopSequences: {
+            type: [String],
+            default: undefined,
+            validate: [list => list.length <= 5, 'At most 5 stop sequences are allowed'],
+        },
+        // Gemini only: https://ai.google.dev/gemini-api/docs/safety-settings
+        safetySettings: {
+            type: [new mongoose.Schema({
+                category: { type: String, enum: GEMINI_HARM_CATEGORIES, required: true },
+                threshold: { type: String, enum: GEMINI_HARM_THRESHOLDS, required: true },
+            }, { _id: false })],
+            default: undefined,
+        },
+    },
+}, { timestamps: true });
+
+// Persona assignment schema (which persona a channel uses; guild personas live in GuildSettings)
+const personaAssignmentSchema = new mongoose.Schema({
+    scopeType: { type: String, enum: ['guild', 'channel'], required: true },
+    scopeId: { type: String, required: true },
+    personaName: { type: String, required: true, lowercase: true, trim: true },
+}, { timestamps: true });
+
+personaAssignmentSchema.index({ scopeType: 1, scopeId: 1 }, { unique: true });
+
+// Per-guild settings, edited through /api/guilds and the /settings admin command
+// Unset (null) fields fall back to the deployment defaults from the environment
+const guildSettingsSchema = new mongoose.Schema({
+    guildId: { type: String, required: true, unique: true },
+    enabled: { type: Boolean, default: null }, // null = follow ALLOWED_GUILD_IDS
+    allowedChannels: [String], // Channel IDs the bot talks in (threads count as their parent); empty = ALLOWED_CHANNEL_NAMES
+    triggerMode: { type: String, default: null }, // e.g. "mention|reply", see utils/triggerModes.js
+    channelTriggerModes: { type: Map, of: String }, // Per-channel trigger modes, keyed by channel ID
+    personaName: { type: String, lowercase: true, trim: true, default: null }, // Guild persona; channel assignments win
+    language: { type: String, trim: true, default: null }, // Primary reply language, overrides the persona's
+    // Content policy: sfw = never mature, nsfw_channels = mature only in NSFW channels, mature = any allowed channel
+    contentMode: { type: String, enum: ['sfw', 'nsfw_channels', 'mature', null], default: null },
+    version: { type: Number, default: 0 }, // Bumped on every change so clients can tell what they have
+}, { timestamps: true });
+
+guildSettingsSchema.index({ updatedAt: 1 });
+
+// Policy decision log schema (labels only, never message text)
+const policyDecisionSchema = new mongoose.Schema({
+    userId: String,
+    guildId: String,
+    channelId: String,
+    stage: { type: String, enum: ['input', 'output'] },
+    rating: String,
+    labels: [String],
+    decision: { type: String, enum: ['allow', 'restrict', 'block', 'replace'] },
+    reason: String,
+    contentMode: String,
+    matureAllowed: Boolean,
+    timestamp: { type: Date, default: Date.now },
 });
 
+policyDecisionSchema.index({ userId: 1, timestamp: -1 });
+policyDecisionSchema.index({ guildId: 1, timestamp: -1 });
+
+// Structured long-term facts about a user, learned from their own messages or corrected through the API
+const userFactSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    category: {
+        type: String,
+        enum: ['name', 'like', 'dislike', 'favorite', 'date', 'relationship'],
+        required: true,
+    },
+    key: { type: String, required: true }, // Normalized subject: the liked thing, "color", "birthday", "sister"
+    value: { type: String, required: true },
+    scopeKey: { type: String, default: 'global' }, // Where the fact is visible, see memoryScope.js
+    status: { type: String, enum: ['active', 'superseded'], default: 'active' },
+    confidence: { type: Number, min: 0, max: 1, default: 0.5 },
+    mentions: { type: Number, default: 1 },
+    source: {
+        method: { type: String, enum: ['extracted', 'correction', 'migrated'], default: 'extracted' },
+        turnId: mongoose.Schema.Types.ObjectId, // ConversationTurn the fact was learned from
+        channelId: String,
+        excerpt: String, // The user's own words the fact came from
+    },
+    supersededBy: mongoose.Schema.Types.ObjectId,
+    firstSeenAt: { type: Date, default: Date.now },
+    lastConfirmedAt: { type: Date, default: Date.now },
+    expiresAt: Date, // Removed by MongoDB once passed; unset for facts that don't go stale
+}, { timestamps: true });
+
+userFactSchema.index({ userId: 1, status: 1, scopeKey: 1, category: 1, key: 1 });
+userFactSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Messages seen in a group-mode channel, from every speaker, so the bot can follow multi-user conversations
+const channelMessageSchema = new mongoose.Schema({
+    channelId: { type: String, required: true },
+    guildId: { type: String, default: null },
+    messageId: String, // Discord message ID, used to skip messages already stored
+    authorId: String,
+    authorName: String,
+    content: String,
+    isBot: { type: Boolean, default: false }, // Written by this bot
+    timestamp: { type: Date, default: Date.now },
+    expiresAt: Date, // Removed by MongoDB once passed, see CHANNEL_MEMORY_DAYS
+});
+
+channelMessageSchema.index({ channelId: 1, timestamp: -1 });
+channelMessageSchema.index({ channelId: 1, messageId: 1 }, { unique: true, sparse: true });
+channelMessageSchema.index({ authorId: 1 });
+channelMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Channel-level memory kept alongside per-user memory: conversation mode, who talks here and about what
+const channelContextSchema = new mongoose.Schema({
+    channelId: { type: String, required: true, unique: true },
+    guildId: { type: String, default: null },
+    mode: { type: String, enum: ['private', 'group', null], default: null }, // null = CONVERSATION_MODE default
+    participants: {
+        type: Map,
+        of: new mongoose.Schema({
+            name: String,
+            messageCount: { type: Number, default: 0 },
+            lastSeen: Date,
+        }, { _id: false }),
+    },
+    topics: [String], // Most recent last
+    lastActive: Date,
+}, { timestamps: true });
+
+// Daily request and token usage counters, one document per user or guild per UTC day
+const usageCounterSchema = new mongoose.Schema({
+    scopeType: { type: String, enum: ['user', 'guild'], required: true },
+    scopeId: { type: String, required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    requests: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+usageCounterSchema.index({ scopeType: 1, scopeId: 1, day: -1 }, { unique: true });
+
+// Audit log schema (record of privacy and administrative actions)
+const auditLogSchema = new mongoose.Schema({
+    action: { type: String, required: true },
+    actor: { type: String, default: 'api' },
+    targetType: String,
+    targetId: String,
+    details: Object,
+    timestamp: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+// Topic mentions counted per guild and time bucket; trending topics decay these counts by age
+const topicBucketSchema = new mongoose.Schema({
+    guildId: { type: String, default: null }, // null for DMs and API callers outside a guild
+    topic: { type: String, required: true },
+    bucketStart: { type: Date, required: true }, // Start of the TRENDING_BUCKET_MINUTES window
+    count: { type: Number, default: 0 },
+});
+
+topicBucketSchema.index({ guildId: 1, bucketStart: 1, topic: 1 }, { unique: true });
+topicBucketSchema.index({ bucketStart: 1 });
+
+// One retrievable piece of a knowledge base document (GlobalContext.knowledgeBase)
+const knowledgeChunkSchema = new mongoose.Schema({
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    guildId: { type: String, default: null },
+    source: String,
+    heading: String, // Markdown heading path or JSON entry the chunk came from
+    index: Number, // Position within the document
+    text: String,
+    embedding: { type: [Number], default: undefined, select: false },
+    embeddingModel: String,
+});
+
+knowledgeChunkSchema.index({ guildId: 1, embeddingModel: 1, documentId: 1, index: 1 });
+knowledgeChunkSchema.index({ documentId: 1, index: 1 });
+
 const UserContext = mongoose.model("UserContext", userContextSchema)
 const GlobalContext = mongoose.model("GlobalContext", globalContextSchema)
+const ConversationTurn = mongoose.model("ConversationTurn", conversationTurnSchema)
+const Persona = mongoose.model("Persona", personaSchema)
+const PersonaAssignment = mongoose.model("PersonaAssignment", personaAssignmentSchema)
+const AuditLog = mongoose.model("AuditLog", auditLogSchema)
+const GuildSettings = mongoose.model("GuildSettings", guildSettingsSchema)
+const PolicyDecision = mongoose.model("PolicyDecision", policyDecisionSchema)
+const UsageCounter = mongoose.model("UsageCounter", usageCounterSchema)
+const UserFact = mongoose.model("UserFact", userFactSchema)
+const ChannelMessage = mongoose.model("ChannelMessage", channelMessageSchema)
+const ChannelContext = mongoose.model("ChannelContext", channelContextSchema)
+const TopicBucket = mongoose.model("TopicBucket", topicBucketSchema)
+const KnowledgeChunk = mongoose.model("KnowledgeChunk", knowledgeChunkSchema)
 mongoose.set('strictQuery', true);
 
-export {UserContext, GlobalContext}
\ No newline at end of file
+export {UserContext, GlobalContext, ConversationTurn, Persona, PersonaAssignment, AuditLog, GuildSettings, PolicyDecision, UsageCounter, UserFact, ChannelMessage, ChannelContext, TopicBucket, KnowledgeChunk, GEMINI_HARM_CATEGORIES, GEMINI_HARM_THRESHOLDS}
\ No newline at end of file
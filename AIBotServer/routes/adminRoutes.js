@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+    getUsers,
+    getUser,
+    patchUser,
+    getUserConversations,
+    searchConversations,
+    getFlaggedConversations,
+    putTurnFlag,
+    deleteTurnFlag,
+    getGlobal,
+    putGlobalPersona,
+} from '../controllers/adminController.js';
+import { getFacts, addFact, updateFact, deleteFact } from '../controllers/factController.js';
+
+const router = express.Router();
+
+// Users: browse, inspect and correct what the bot remembers
+router.get('/users', getUsers);
+router.get('/users/:userId', getUser);
+router.patch('/users/:userId', patchUser);
+router.get('/users/:userId/conversations', getUserConversations);
+
+// Preferences are stored as facts; the same handlers as /api/users/:userId/facts
+router.get('/users/:userId/facts', getFacts);
+router.post('/users/:userId/facts', addFact);
+router.put('/users/:userId/facts/:factId', updateFact);
+router.delete('/users/:userId/facts/:factId', deleteFact);
+
+// Conversations across all users
+router.get('/conversations/search', searchConversations);
+router.get('/conversations/flagged', getFlaggedConversations);
+router.put('/conversations/:turnId/flag', putTurnFlag);
+router.delete('/conversations/:turnId/flag', deleteTurnFlag);
+
+// Shared bot personality (GlobalContext)
+router.get('/global', getGlobal);
+router.put('/global/persona', putGlobalPersona);
+
+export default router;
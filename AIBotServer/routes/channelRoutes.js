@@ -0,0 +1,11 @@
+import express from 'express';
+import { getChannel, updateChannelMode, forgetChannelMemory } from '../controllers/channelController.js';
+
+const router = express.Router();
+
+// Channel conversation mode and channel-level memory
+router.get('/:channelId', getChannel);
+router.put('/:channelId/mode', updateChannelMode);
+router.delete('/:channelId/memory', forgetChannelMemory);
+
+export default router;
@@ -1,9 +1,17 @@
 import express from 'express';
-import { chatController } from '../controllers/chatController.js';
+import { chatController, chatStreamController } from '../controllers/chatController.js';
+import { historyController } from '../controllers/historyController.js';
+import { chatRateLimit } from '../middleware/chatRateLimit.js';
 
 const router = express.Router();
 
 // Chat with Gemini API route
-router.post('/:userId', chatController);
+router.post('/:userId', chatRateLimit, chatController);
+
+// Streaming chat route (Server-Sent Events)
+router.post('/:userId/stream', chatRateLimit, chatStreamController);
+
+// Paginated conversation history
+router.get('/:userId/history', historyController);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { listSettings, getSettings, updateSettings, resetSettings } from '../controllers/guildController.js';
+
+const router = express.Router();
+
+// Per-guild settings
+router.get('/settings', listSettings);
+router.get('/:guildId/settings', getSettings);
+router.put('/:guildId/settings', updateSettings);
+router.delete('/:guildId/settings', resetSettings);
+
+export default router;
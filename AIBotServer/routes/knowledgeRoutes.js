@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    getDocuments,
+    getDocumentChunks,
+    postDocument,
+    removeDocument,
+    searchDocuments,
+} from '../controllers/knowledgeController.js';
+
+const router = express.Router();
+
+// Knowledge base documents (lore, rules, FAQs) and their chunks
+router.get('/documents', getDocuments);
+router.post('/documents', postDocument);
+router.get('/documents/:documentId', getDocumentChunks);
+router.delete('/documents/:documentId', removeDocument);
+
+// What retrieval would find for a message
+router.get('/search', searchDocuments);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    listPersonas,
+    getPersona,
+    createPersona,
+    updatePersona,
+    deletePersona,
+    listAssignments,
+    setAssignment,
+    removeAssignment,
+} from '../controllers/personaController.js';
+
+const router = express.Router();
+
+// Guild/channel assignments (registered before /:name so "assignments" isn't read as a persona name)
+router.get('/assignments', listAssignments);
+router.put('/assignments/:scopeType/:scopeId', setAssignment);
+router.delete('/assignments/:scopeType/:scopeId', removeAssignment);
+
+// Persona CRUD
+router.get('/', listPersonas);
+router.post('/', createPersona);
+router.get('/:name', getPersona);
+router.put('/:name', updatePersona);
+router.delete('/:name', deletePersona);
+
+export default router;
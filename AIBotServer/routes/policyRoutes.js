@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+    getGuildPolicyController,
+    updateGuildPolicy,
+    listPolicyDecisions,
+} from '../controllers/policyController.js';
+
+const router = express.Router();
+
+// Per-guild content policy
+router.get('/guilds/:guildId', getGuildPolicyController);
+router.put('/guilds/:guildId', updateGuildPolicy);
+
+// Policy decision log
+router.get('/decisions', listPolicyDecisions);
+
+export default router;
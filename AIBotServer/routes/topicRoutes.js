@@ -0,0 +1,9 @@
+import express from 'express';
+import { getTrending } from '../controllers/topicController.js';
+
+const router = express.Router();
+
+// Trending conversation topics
+router.get('/trending', getTrending);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getUserUsage, getGuildUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+// Daily request and token usage counters
+router.get('/users/:userId', getUserUsage);
+router.get('/guilds/:guildId', getGuildUsage);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+    getProfile,
+    resetProfile,
+    forgetHistory,
+    searchUserMemory,
+    getUserSummary,
+    getUserPersona,
+    setUserPersona,
+    exportUser,
+    deleteUser,
+    getConsent,
+    grantConsent,
+    withdrawConsent,
+} from '../controllers/userController.js';
+import { getFacts, addFact, updateFact, deleteFact } from '../controllers/factController.js';
+
+const router = express.Router();
+
+// Profile and memory controls (used by the Discord slash commands)
+router.get('/:userId/profile', getProfile);
+router.delete('/:userId/profile', resetProfile);
+router.delete('/:userId/history', forgetHistory);
+router.get('/:userId/memory/search', searchUserMemory);
+router.get('/:userId/summary', getUserSummary);
+router.get('/:userId/persona', getUserPersona);
+router.put('/:userId/persona', setUserPersona);
+
+// Structured facts learned about the user, with corrections
+router.get('/:userId/facts', getFacts);
+router.post('/:userId/facts', addFact);
+router.put('/:userId/facts/:factId', updateFact);
+router.delete('/:userId/facts/:factId', deleteFact);
+
+// Age/consent opt-in for mature content
+router.get('/:userId/consent', getConsent);
+router.put('/:userId/consent', grantConsent);
+router.delete('/:userId/consent', withdrawConsent);
+
+// Privacy requests: full export and erasure
+router.get('/:userId/export', exportUser);
+router.delete('/:userId', deleteUser);
+
+export default router;
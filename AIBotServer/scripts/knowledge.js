@@ -0,0 +1,109 @@
+// Manage the knowledge base from the command line
+// Usage: npm run knowledge -- add <files...> [--guild <guildId>] [--title <title>] [--format markdown|text|json]
+//        npm run knowledge -- list [--guild <guildId>|global]
+//        npm run knowledge -- search <text> [--guild <guildId>]
+//        npm run knowledge -- remove <documentId>
+//        npm run knowledge -- reindex
+// Documents are shared by every guild unless --guild is given; adding a file whose name is already in the
+// knowledge base for that guild replaces it. Run reindex after changing EMBEDDING_PROVIDER.
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import {
+    ingestDocument,
+    listDocuments,
+    searchKnowledge,
+    deleteDocument,
+    reindexKnowledge,
+} from '../services/knowledge/knowledgeService.js';
+import { recordAudit } from '../services/auditService.js';
+
+dotenv.config();
+
+const ACTOR = 'cli';
+
+function parseArgs(argv) {
+    const options = { command: argv[0], args: [], guildId: undefined, title: null, format: undefined };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--guild') options.guildId = argv[++i];
+        else if (arg === '--title') options.title = argv[++i];
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.args.push(arg);
+    }
+    return options;
+}
+
+async function add({ args, guildId = null, title, format }) {
+    if (args.length === 0) throw new Error('Usage: knowledge add <files...> [--guild <guildId>]');
+
+    for (const file of args) {
+        const content = await fs.readFile(file, 'utf8');
+        const { document, status } = await ingestDocument({ guildId, source: path.basename(file), title, format, content, ingestedBy: ACTOR });
+        if (status !== 'unchanged') {
+            await recordAudit({
+                action: `knowledge.document.${status === 'created' ? 'add' : 'replace'}`,
+                actor: ACTOR,
+                targetType: 'knowledge',
+                targetId: String(document._id),
+                details: { guildId: document.guildId, source: document.source, chunkCount: document.chunkCount },
+            });
+        }
+        console.log(`${status} ${document.source} (${document.chunkCount} chunks, ${document.guildId ? `guild ${document.guildId}` : 'shared'}) ${document._id}`);
+    }
+}
+
+async function list({ guildId }) {
+    const documents = await listDocuments({ guildId: guildId === 'global' ? null : guildId });
+    for (const document of documents) {
+        console.log(`${document._id}  ${document.guildId || 'shared'}  ${document.source}  ${document.chunkCount} chunks  ${document.ingestedAt.toISOString()}`);
+    }
+    console.log(`${documents.length} document(s)`);
+}
+
+async function search({ args, guildId = null }) {
+    for (const chunk of await searchKnowledge(args.join(' '), { guildId })) {
+        console.log(`${chunk.score.toFixed(3)}  [${chunk.label}]\n${chunk.text.replace(/^/gm, '    ')}`);
+    }
+}
+
+async function remove({ args }) {
+    const [documentId] = args;
+    if (!mongoose.isValidObjectId(documentId)) throw new Error('Usage: knowledge remove <documentId>');
+
+    const document = await deleteDocument(documentId);
+    if (!document) throw new Error(`No document ${documentId}`);
+    await recordAudit({
+        action: 'knowledge.document.delete',
+        actor: ACTOR,
+        targetType: 'knowledge',
+        targetId: documentId,
+        details: { guildId: document.guildId ?? null, source: document.source, chunkCount: document.chunkCount },
+    });
+    console.log(`Removed ${document.source}`);
+}
+
+async function reindex() {
+    const embedded = await reindexKnowledge({ onProgress: (count) => console.log(`Embedded ${count} chunks...`) });
+    console.log(`Done, re-embedded ${embedded} chunks`);
+}
+
+const COMMANDS = { add, list, search, remove, reindex };
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const command = COMMANDS[options.command];
+    if (!command) throw new Error(`Usage: knowledge <${Object.keys(COMMANDS).join('|')}> ...`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    await command(options);
+}
+
+main()
+    .catch((err) => {
+        console.error('Knowledge command failed:', err.message || err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
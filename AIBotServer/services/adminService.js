@@ -0,0 +1,258 @@
+import { UserContext, GlobalContext, ConversationTurn } from '../models/AiBotDbSchema.js';
+import { countTurns } from './historyService.js';
+import { listFacts, groupFacts } from './facts/factService.js';
+
+/**
+ * Operator views over stored users, conversations and the global context (see adminController.js)
+ */
+
+const MOOD = /^[a-z_-]{1,32}$/;
+const MAX_CONTEXT_TOKENS = 200;
+const MAX_CONTEXT_TOKEN_LENGTH = 100;
+const MAX_BOT_PERSONALITY_LENGTH = 4000;
+const MAX_FLAG_REASON_LENGTH = 500;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pageSize = (limit, fallback = 20) => Math.min(Math.max(parseInt(limit, 10) || fallback, 1), 100);
+
+// Stored turn as the admin API returns it (the embedding is never selected)
+function toAdminTurn(turn) {
+  return {
+    id: turn._id,
+    userId: turn.userId,
+    guildId: turn.guildId ?? null,
+    channelId: turn.channelId ?? null,
+    message: turn.message,
+    response: turn.response,
+    entities: turn.entities || [],
+    timestamp: turn.timestamp,
+    flag: turn.flag || null,
+    ...(turn.score !== undefined && { score: turn.score }),
+  };
+}
+
+/**
+ * Users, most recently active first; `q` matches a user ID exactly or part of a username
+ */
+export async function listUsers({ q, limit, offset = 0 } = {}) {
+  const size = pageSize(limit);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+  const query = (q || '').trim();
+  const filter = query
+    ? { $or: [{ userId: query }, { username: new RegExp(escapeRegex(query), 'i') }] }
+    : {};
+
+  const users = await UserContext.find(filter)
+    .select('userId username mood lastActive personaName contextTokens')
+    .sort({ lastActive: -1, _id: -1 })
+    .skip(skip)
+    .limit(size + 1)
+    .lean();
+
+  const hasMore = users.length > size;
+  return {
+    users: users.slice(0, size).map(user => ({
+      userId: user.userId,
+      username: user.username || null,
+      mood: user.mood || 'neutral',
+      personaName: user.personaName || null,
+      lastActive: user.lastActive || null,
+      contextTokenCount: (user.contextTokens || []).length,
+    })),
+    nextOffset: hasMore ? skip + size : null,
+  };
+}
+
+/**
+ * Everything an operator sees about one user, or null for an unknown user
+ * Preferences are the user's active facts grouped by category; `legacyPreferences` is the pre-fact object, if any
+ */
+export async function getUserOverview(userId) {
+  const user = await UserContext.findOne({ userId }).lean();
+  if (!user) return null;
+
+  const [turnCount, flaggedTurnCount, facts] = await Promise.all([
+    countTurns(userId),
+    ConversationTurn.countDocuments({ userId, flag: { $exists: true } }),
+    listFacts(userId),
+  ]);
+
+  return {
+    userId,
+    username: user.username || null,
+    mood: user.mood || 'neutral',
+    preferences: groupFacts(facts),
+    legacyPreferences: user.preferences || null,
+    contextTokens: user.contextTokens || [],
+    personaName: user.personaName || null,
+    consent: user.consent || null,
+    lastActive: user.lastActive || null,
+    summaryScopes: Object.keys(user.summaries || {}),
+    factCount: facts.length,
+    turnCount,
+    flaggedTurnCount,
+  };
+}
+
+/**
+ * Check an admin edit of a user's profile; only `mood` and `contextTokens` may change here
+ * (preferences are facts, edited through the fact endpoints)
+ * @returns {{ changes: object, errors: string[] }}
+ */
+export function validateUserChanges(input) {
+  const changes = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, errors: ['Changes must be an object'] };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (field === 'preferences') errors.push('`preferences` are facts; use /api/admin/users/:userId/facts');
+    else if (!['mood', 'contextTokens'].includes(field)) errors.push(`Unknown field \`${field}\``);
+  }
+
+  if ('mood' in input) {
+    if (typeof input.mood !== 'string' || !MOOD.test(input.mood)) errors.push('`mood` must be a lowercase word');
+    else changes.mood = input.mood;
+  }
+
+  if ('contextTokens' in input) {
+    const tokens = input.contextTokens ?? [];
+    if (!Array.isArray(tokens) || tokens.some(token => typeof token !== 'string' || !token.trim() || token.length > MAX_CONTEXT_TOKEN_LENGTH)) {
+      errors.push(`\`contextTokens\` must be a list of non-empty strings of at most ${MAX_CONTEXT_TOKEN_LENGTH} characters`);
+    } else if (tokens.length > MAX_CONTEXT_TOKENS) {
+      errors.push(`\`contextTokens\` may hold at most ${MAX_CONTEXT_TOKENS} entries`);
+    } else {
+      changes.contextTokens = [...new Set(tokens.map(token => token.trim()))];
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(changes).length === 0) errors.push('Nothing to change');
+  return { changes, errors };
+}
+
+/**
+ * Apply validated changes to an existing user; null when the user doesn't exist
+ */
+export async function updateUser(userId, changes) {
+  const user = await UserContext.findOneAndUpdate({ userId }, { $set: changes }, { new: true }).lean();
+  return user ? getUserOverview(userId) : null;
+}
+
+/**
+ * Page backwards through stored turns, newest first, across all users or for one user, guild or channel
+ * `before` is the cursor returned as `nextCursor` by the previous page
+ */
+export async function listTurns({ userId, guildId, channelId, before, limit } = {}) {
+  const size = pageSize(limit);
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (guildId) filter.guildId = guildId;
+  if (channelId) filter.channelId = channelId;
+  if (before) filter.timestamp = { $lt: new Date(before) };
+
+  const turns = await ConversationTurn.find(filter).sort({ timestamp: -1 }).limit(size + 1).lean();
+  const hasMore = turns.length > size;
+  const page = turns.slice(0, size);
+  return {
+    turns: page.map(toAdminTurn),
+    nextCursor: hasMore ? page[page.length - 1].timestamp.toISOString() : null,
+  };
+}
+
+/**
+ * Full-text search over every stored message and reply, best matches first
+ * Uses MongoDB's text index, so words are matched by stem and `"quoted phrases"` / `-excluded` words work
+ */
+export async function searchTurns(q, { userId, guildId, limit } = {}) {
+  const filter = { $text: { $search: q } };
+  if (userId) filter.userId = userId;
+  if (guildId) filter.guildId = guildId;
+
+  const turns = await ConversationTurn.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+    .limit(pageSize(limit))
+    .lean();
+  return turns.map(toAdminTurn);
+}
+
+/**
+ * Flagged turns, most recently flagged first
+ * `before` is the cursor returned as `nextCursor` by the previous page
+ */
+export async function listFlaggedTurns({ userId, before, limit } = {}) {
+  const size = pageSize(limit);
+  const filter = { 'flag.flaggedAt': before ? { $lt: new Date(before) } : { $exists: true } };
+  if (userId) filter.userId = userId;
+
+  const turns = await ConversationTurn.find(filter).sort({ 'flag.flaggedAt': -1 }).limit(size + 1).lean();
+  const hasMore = turns.length > size;
+  const page = turns.slice(0, size);
+  return {
+    turns: page.map(toAdminTurn),
+    nextCursor: hasMore ? page[page.length - 1].flag.flaggedAt.toISOString() : null,
+  };
+}
+
+/**
+ * Check a flag reason; returns an error message or null
+ */
+export function validateFlagReason(reason) {
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== 'string' || reason.length > MAX_FLAG_REASON_LENGTH) {
+    return `\`reason\` must be a string of at most ${MAX_FLAG_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Flag a turn for review, replacing an earlier flag; null when the turn doesn't exist
+ */
+export async function flagTurn(turnId, { reason, flaggedBy }) {
+  const flag = { reason: reason?.trim() || null, flaggedBy, flaggedAt: new Date() };
+  const turn = await ConversationTurn.findByIdAndUpdate(turnId, { $set: { flag } }, { new: true }).lean();
+  return turn ? toAdminTurn(turn) : null;
+}
+
+/**
+ * Remove a turn's flag; null when the turn doesn't exist
+ */
+export async function unflagTurn(turnId) {
+  const turn = await ConversationTurn.findByIdAndUpdate(turnId, { $unset: { flag: '' } }, { new: true }).lean();
+  return turn ? toAdminTurn(turn) : null;
+}
+
+/**
+ * The shared bot personality (the built-in persona's description)
+ */
+export async function getGlobalSettings() {
+  const globalContext = await GlobalContext.findOne({}).select('botPersonality lastUpdate').lean();
+  return {
+    botPersonality: globalContext?.botPersonality || null,
+    lastUpdate: globalContext?.lastUpdate || null,
+  };
+}
+
+/**
+ * Check a new bot personality; returns an error message or null
+ */
+export function validateBotPersonality(botPersonality) {
+  if (botPersonality === null) return null;
+  if (typeof botPersonality !== 'string' || !botPersonality.trim() || botPersonality.length > MAX_BOT_PERSONALITY_LENGTH) {
+    return `\`botPersonality\` must be null or a non-empty string of at most ${MAX_BOT_PERSONALITY_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Set the shared bot personality; null goes back to the built-in description
+ */
+export async function setBotPersonality(botPersonality) {
+  const update = botPersonality === null
+    ? { $unset: { botPersonality: '' }, $set: { lastUpdate: new Date() } }
+    : { $set: { botPersonality: botPersonality.trim(), lastUpdate: new Date() } };
+  await GlobalContext.updateOne({}, update, { upsert: true });
+  return getGlobalSettings();
+}
@@ -0,0 +1,16 @@
+import { AuditLog } from '../models/AiBotDbSchema.js';
+
+/**
+ * Who performed a request, for audit records
+ * Callers identify themselves with the X-Actor header, otherwise the authenticated API client is used
+ */
+export function getActor(req) {
+  return req.get('X-Actor') || req.apiClient?.id || 'api';
+}
+
+/**
+ * Store an audit record; `details` must not contain the personal data being acted on
+ */
+export async function recordAudit({ action, actor = 'api', targetType, targetId, details = {} }) {
+  return AuditLog.create({ action, actor, targetType, targetId, details, timestamp: new Date() });
+}
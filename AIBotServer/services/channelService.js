@@ -0,0 +1,171 @@
+import { ChannelMessage, ChannelContext } from '../models/AiBotDbSchema.js';
+
+export const CONVERSATION_MODES = ['private', 'group'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read group conversation settings from the environment
+ * CONVERSATION_MODE - private (default): every message is a 1:1 chat with its author;
+ *   group: the prompt includes the recent multi-speaker channel transcript
+ * GROUP_TRANSCRIPT_LIMIT - channel messages included in a group prompt
+ * GROUP_TRANSCRIPT_MAX_AGE_MINUTES - older channel messages are left out of the prompt (0 = no limit)
+ * CHANNEL_MEMORY_DAYS - how long stored channel messages are kept
+ * CHANNEL_TOPIC_LIMIT - recent topics remembered per channel
+ */
+export function getChannelConfig(env = process.env) {
+  const defaultMode = (env.CONVERSATION_MODE || 'private').toLowerCase();
+  return {
+    defaultMode: CONVERSATION_MODES.includes(defaultMode) ? defaultMode : 'private',
+    transcriptLimit: parseInt(env.GROUP_TRANSCRIPT_LIMIT ?? '20', 10),
+    maxAgeMinutes: parseInt(env.GROUP_TRANSCRIPT_MAX_AGE_MINUTES ?? '120', 10),
+    retentionDays: parseInt(env.CHANNEL_MEMORY_DAYS ?? '7', 10),
+    topicLimit: parseInt(env.CHANNEL_TOPIC_LIMIT ?? '30', 10),
+  };
+}
+
+/**
+ * Conversation mode for a channel: its own setting, otherwise the configured default
+ * DMs and API callers without a channel are always private
+ */
+export async function getConversationMode({ channelId, isDM }, config = getChannelConfig()) {
+  if (!channelId || isDM) return 'private';
+  const channel = await ChannelContext.findOne({ channelId }).select('mode').lean();
+  return channel?.mode || config.defaultMode;
+}
+
+/**
+ * Store channel messages sent along with a chat request, skipping ones already stored
+ * @param {Array<{ messageId?: string, authorId: string, authorName?: string, content: string, isBot?: boolean, timestamp?: string }>} messages
+ */
+export async function recordChannelMessages({ guildId = null, channelId }, messages, config = getChannelConfig()) {
+  const valid = (messages || []).filter(m => m && typeof m.content === 'string' && m.content.trim() && m.authorId);
+  if (!channelId || valid.length === 0) return 0;
+
+  const expiresAt = config.retentionDays > 0 ? new Date(Date.now() + config.retentionDays * DAY_MS) : null;
+  const operations = valid.map(m => {
+    const doc = {
+      channelId,
+      guildId,
+      messageId: m.messageId || undefined,
+      authorId: String(m.authorId),
+      authorName: m.authorName || 'Someone',
+      content: m.content.slice(0, 2000),
+      isBot: Boolean(m.isBot),
+      timestamp: m.timestamp ? new Date(m.timestamp) : new Date(),
+      expiresAt,
+    };
+    return doc.messageId
+      ? { updateOne: { filter: { channelId, messageId: doc.messageId }, update: { $setOnInsert: doc }, upsert: true } }
+      : { insertOne: { document: doc } };
+  });
+
+  const result = await ChannelMessage.bulkWrite(operations, { ordered: false });
+  return (result.upsertedCount || 0) + (result.insertedCount || 0);
+}
+
+/**
+ * Recent messages in a channel, oldest first
+ * `before` leaves out the message being answered, which the prompt shows separately
+ */
+export async function getChannelTranscript(channelId, { before, config = getChannelConfig() } = {}) {
+  const filter = { channelId };
+  const timestamp = {};
+  if (before) timestamp.$lt = new Date(before);
+  if (config.maxAgeMinutes > 0) timestamp.$gte = new Date(Date.now() - config.maxAgeMinutes * 60 * 1000);
+  if (Object.keys(timestamp).length > 0) filter.timestamp = timestamp;
+
+  const messages = await ChannelMessage.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(config.transcriptLimit)
+    .select('authorId authorName content isBot timestamp')
+    .lean();
+
+  return messages.reverse();
+}
+
+/**
+ * Channel-level memory: mode, regular participants and recent topics
+ */
+export async function getChannelContext(channelId) {
+  return ChannelContext.findOne({ channelId }).lean();
+}
+
+/**
+ * Remember that a user spoke in a channel and what about
+ */
+export async function updateChannelContext({ guildId = null, channelId }, { userId, userName, topics = [] }, config = getChannelConfig()) {
+  if (!channelId) return;
+
+  const now = new Date();
+  const update = {
+    $set: { guildId, lastActive: now, [`participants.${userId}.name`]: userName, [`participants.${userId}.lastSeen`]: now },
+    $inc: { [`participants.${userId}.messageCount`]: 1 },
+  };
+  if (topics.length > 0) {
+    update.$push = { topics: { $each: topics, $slice: -Math.max(config.topicLimit, 1) } };
+  }
+
+  await ChannelContext.updateOne({ channelId }, update, { upsert: true });
+}
+
+/**
+ * Set or clear (null) a channel's conversation mode
+ */
+export async function setConversationMode({ guildId = null, channelId }, mode) {
+  return ChannelContext.findOneAndUpdate(
+    { channelId },
+    { $set: { guildId, mode } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+}
+
+/**
+ * Forget everything stored for a channel
+ * @returns {Promise<number>} number of stored channel messages deleted
+ */
+export async function clearChannelMemory(channelId) {
+  const [messages] = await Promise.all([
+    ChannelMessage.deleteMany({ channelId }),
+    ChannelContext.updateOne({ channelId }, { $unset: { participants: '', topics: '' } }),
+  ]);
+  return messages.deletedCount || 0;
+}
+
+/**
+ * Render a channel transcript and its memory as prompt sections
+ * Speakers are named so the model can tell people apart and address several of them
+ */
+export function formatGroupContext({ transcript, channel, userId, userName, botName }) {
+  let text = '';
+
+  const participants = new Map();
+  for (const [id, participant] of Object.entries(channel?.participants || {})) {
+    participants.set(id, participant.name);
+  }
+  for (const m of transcript) {
+    if (!m.isBot) participants.set(m.authorId, m.authorName);
+  }
+  participants.set(userId, userName);
+
+  text += `GROUP CONVERSATION: you are in a shared channel where several people talk to each other and to you.
+- ${userName} just spoke to you; others may have joined in or be talked about
+- Refer to people by name and never attribute one person's words to someone else
+- You may respond to more than one person at once when it fits the conversation
+- People here: ${[...participants.values()].filter(Boolean).slice(-15).join(', ')}
+`;
+
+  if (channel?.topics?.length > 0) {
+    text += `- Recent topics in this channel: ${[...new Set(channel.topics)].slice(-10).join(', ')}\n`;
+  }
+
+  if (transcript.length > 0) {
+    text += `\nCHANNEL TRANSCRIPT (OLDEST FIRST):\n`;
+    for (const m of transcript) {
+      const time = new Date(m.timestamp).toISOString().slice(11, 16);
+      text += `[${time}] ${m.isBot ? `${botName} (you)` : m.authorName}: ${m.content}\n`;
+    }
+  }
+
+  return `${text}\n`;
+}
@@ -0,0 +1,110 @@
+/**
+ * Token-budgeted prompt context
+ * The prompt is split into sections (persona, current message, recent turns, facts, ...) that are filled in
+ * priority order until the token budget runs out. Within a section items are kept in the order given,
+ * so callers list the most important first; an item that already appeared in an earlier section is skipped
+ */
+
+/**
+ * Read context budget settings from the environment
+ * CONTEXT_TOKEN_BUDGET - tokens the whole prompt may use (default 4000)
+ * CONTEXT_RECENT_TURNS - most recent turns sent verbatim (default 3)
+ * CONTEXT_RETRIEVED_TURNS - older turns retrieved by relevance (default 8)
+ * CONTEXT_GLOBAL_TOPICS - trending topics mentioned (default 5)
+ */
+export function getContextConfig(env = process.env) {
+  return {
+    tokenBudget: parseInt(env.CONTEXT_TOKEN_BUDGET ?? '4000', 10),
+    recentTurns: parseInt(env.CONTEXT_RECENT_TURNS ?? '3', 10),
+    retrievedTurns: parseInt(env.CONTEXT_RETRIEVED_TURNS ?? '8', 10),
+    globalTopics: parseInt(env.CONTEXT_GLOBAL_TOPICS ?? '5', 10),
+  };
+}
+
+/**
+ * @typedef {Object} ContextItem
+ * @property {string} [key] - identifies the same content across sections, for deduplication
+ * @property {*} value - what `render` receives
+ *
+ * @typedef {Object} ContextSection
+ * @property {string} name
+ * @property {number} priority - lower numbers are filled first
+ * @property {boolean} [required] - always included, even past the budget (persona, current message)
+ * @property {boolean} [contiguous] - once an item doesn't fit, drop the rest too (e.g. turns, so there are no gaps)
+ * @property {ContextItem[]} items - most important first
+ * @property {(values: Array) => string} render - prompt text for the kept item values; with no values it may
+ *   return a header that is always included, or ''
+ */
+
+/**
+ * Fill the token budget section by section
+ * @param {ContextSection[]} sections
+ * @param {{ budget: number, countTokens: (text: string) => number }} options
+ * @returns {{
+ *   texts: Object<string, string>,
+ *   values: Object<string, Array>,
+ *   usedTokens: number,
+ *   budget: number,
+ *   sections: Array<{ name: string, tokens: number, kept: number, total: number }>,
+ *   dropped: Array<{ section: string, key: string|null, reason: 'budget'|'duplicate', tokens?: number }>
+ * }}
+ */
+export function buildContext(sections, { budget, countTokens }) {
+  const texts = {};
+  const values = {};
+  const report = [];
+  const dropped = [];
+  const seenKeys = new Set();
+  let usedTokens = 0;
+
+  const ordered = [...sections].sort((a, b) => a.priority - b.priority);
+  for (const section of ordered) {
+    const kept = [];
+    let text = section.render([]);
+    let tokens = countTokens(text);
+    let full = false;
+    usedTokens += tokens;
+
+    for (const item of section.items) {
+      if (item.key && seenKeys.has(item.key)) {
+        dropped.push({ section: section.name, key: item.key, reason: 'duplicate' });
+        continue;
+      }
+
+      const candidate = section.render([...kept, item].map(entry => entry.value));
+      const candidateTokens = countTokens(candidate);
+      if (full || (!section.required && usedTokens + candidateTokens - tokens > budget)) {
+        dropped.push({ section: section.name, key: item.key || null, reason: 'budget', tokens: candidateTokens - tokens });
+        full = Boolean(section.contiguous);
+        continue;
+      }
+
+      kept.push(item);
+      text = candidate;
+      usedTokens += candidateTokens - tokens;
+      tokens = candidateTokens;
+    }
+
+    for (const item of kept) {
+      if (item.key) seenKeys.add(item.key);
+    }
+    texts[section.name] = text;
+    values[section.name] = kept.map(item => item.value);
+    report.push({ name: section.name, tokens, kept: kept.length, total: section.items.length });
+  }
+
+  return { texts, values, usedTokens, budget, sections: report, dropped };
+}
+
+/**
+ * One-line description of what a build left out, or null when nothing was dropped for budget
+ */
+export function describeDropped({ dropped, usedTokens, budget }) {
+  const overBudget = dropped.filter(entry => entry.reason === 'budget');
+  if (overBudget.length === 0) return null;
+
+  const counts = {};
+  for (const entry of overBudget) counts[entry.section] = (counts[entry.section] || 0) + 1;
+  const parts = Object.entries(counts).map(([section, count]) => `${count} ${section}`);
+  return `Context budget ${usedTokens}/${budget} tokens, dropped ${parts.join(', ')}`;
+}
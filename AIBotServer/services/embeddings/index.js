@@ -0,0 +1,84 @@
+import { createLocalEmbedder } from './localEmbedder.js';
+import { createGeminiEmbedder, createOpenAIEmbedder, createOllamaEmbedder } from './remoteEmbedders.js';
+
+const embedderFactories = {
+  local: createLocalEmbedder,
+  gemini: createGeminiEmbedder,
+  openai: createOpenAIEmbedder,
+  ollama: createOllamaEmbedder,
+};
+
+let activeEmbedder;
+
+/**
+ * Read embedder configuration from the environment
+ * EMBEDDING_PROVIDER selects the backend (local | gemini | openai | ollama); unset or "none" disables embeddings
+ */
+export function getEmbeddingConfig(env = process.env) {
+  const provider = (env.EMBEDDING_PROVIDER || 'none').toLowerCase();
+
+  switch (provider) {
+    case 'local':
+      return { provider, dimensions: parseInt(env.LOCAL_EMBEDDING_DIMENSIONS || '384', 10) };
+    case 'gemini':
+      return { provider, apiKey: env.GEMINI_API_KEY, model: env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004' };
+    case 'openai':
+      return { provider, apiUrl: env.OPENAI_API_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_EMBEDDING_MODEL };
+    case 'ollama':
+      return { provider, apiUrl: env.OLLAMA_URL, model: env.OLLAMA_EMBEDDING_MODEL };
+    default:
+      return { provider: 'none' };
+  }
+}
+
+/**
+ * Create an embedder from a config object (null when embeddings are disabled)
+ */
+export function createEmbedder(config) {
+  if (config.provider === 'none') return null;
+
+  const factory = embedderFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${config.provider}". Expected one of: none, ${Object.keys(embedderFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Get the embedder configured for this deployment, or null if none is configured
+ */
+export function getEmbedder() {
+  if (activeEmbedder === undefined) {
+    activeEmbedder = createEmbedder(getEmbeddingConfig());
+    if (activeEmbedder) {
+      console.log(`Using embedding provider: ${activeEmbedder.name} (${activeEmbedder.model})`);
+    }
+  }
+  return activeEmbedder;
+}
+
+/**
+ * Override the active embedder (null disables embeddings)
+ */
+export function setEmbedder(embedder) {
+  activeEmbedder = embedder;
+}
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
@@ -0,0 +1,51 @@
+import natural from 'natural';
+
+const tokenizer = new natural.WordTokenizer();
+const stemmer = natural.PorterStemmer;
+
+/**
+ * Offline embedder using feature hashing of stemmed unigrams and bigrams
+ * No model download or network access needed; vectors are deterministic for a given dimension
+ */
+export function createLocalEmbedder({ dimensions = 384 } = {}) {
+  return {
+    name: 'local',
+    model: `hashing-${dimensions}`,
+    dimensions,
+
+    async embed(texts) {
+      return texts.map(text => hashEmbed(text, dimensions));
+    }
+  };
+}
+
+function hashEmbed(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenizer.tokenize((text || '').toLowerCase())
+    .filter(token => token.length > 2)
+    .map(token => stemmer.stem(token));
+
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]}_${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    // Signed hashing keeps collisions from only ever adding up
+    const sign = (hash & 1) === 0 ? 1 : -1;
+    vector[(hash >>> 1) % dimensions] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  return norm > 0 ? vector.map(val => val / norm) : vector;
+}
+
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
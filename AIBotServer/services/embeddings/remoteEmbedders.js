@@ -0,0 +1,68 @@
+import axios from 'axios';
+
+/**
+ * Gemini embedContent / batchEmbedContents API
+ */
+export function createGeminiEmbedder({ apiKey, model = 'text-embedding-004' }) {
+  const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+
+  return {
+    name: 'gemini',
+    model,
+
+    async embed(texts) {
+      const response = await axios.post(`${baseUrl}:batchEmbedContents?key=${apiKey}`, {
+        requests: texts.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] }
+        }))
+      });
+      return response.data.embeddings.map(embedding => embedding.values);
+    }
+  };
+}
+
+/**
+ * Any OpenAI-compatible /embeddings endpoint
+ */
+export function createOpenAIEmbedder({ apiUrl, apiKey, model }) {
+  if (!model) {
+    throw new Error('OpenAI-compatible embedder requires a model name (OPENAI_EMBEDDING_MODEL)');
+  }
+
+  const baseUrl = (apiUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+
+    async embed(texts) {
+      const response = await axios.post(`${baseUrl}/embeddings`, { model, input: texts }, { headers });
+      return response.data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Local Ollama server (/api/embed)
+ */
+export function createOllamaEmbedder({ apiUrl, model }) {
+  if (!model) {
+    throw new Error('Ollama embedder requires a model name (OLLAMA_EMBEDDING_MODEL)');
+  }
+
+  const baseUrl = (apiUrl || 'http://localhost:11434').replace(/\/+$/, '');
+
+  return {
+    name: 'ollama',
+    model,
+
+    async embed(texts) {
+      const response = await axios.post(`${baseUrl}/api/embed`, { model, input: texts });
+      return response.data.embeddings;
+    }
+  };
+}
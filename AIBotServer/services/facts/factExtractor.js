@@ -0,0 +1,147 @@
+/**
+ * Rule-based extraction of structured facts from a user's own message
+ * Only the user's words are ever passed in, so nothing the bot says gets attributed to the user
+ *
+ * @typedef {Object} ExtractedFact
+ * @property {'name'|'like'|'dislike'|'favorite'|'date'|'relationship'} category
+ * @property {string} key - Normalized subject
+ * @property {string} value - Text as the user wrote it
+ * @property {number} confidence - 0..1
+ * @property {string} excerpt - Sentence the fact came from
+ */
+
+export const FACT_CATEGORIES = ['name', 'like', 'dislike', 'favorite', 'date', 'relationship'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Relationships a person normally has only one of at a time; others (sister, friend, dog) can repeat
+const SINGLE_RELATIONS = ['mom', 'mother', 'dad', 'father', 'wife', 'husband', 'girlfriend', 'boyfriend', 'partner', 'boss'];
+const RELATIONS = [
+  ...SINGLE_RELATIONS,
+  'best friend', 'friend', 'sister', 'brother', 'son', 'daughter', 'cousin', 'aunt', 'uncle',
+  'grandma', 'grandpa', 'grandmother', 'grandfather', 'roommate', 'dog', 'cat',
+];
+
+// Objects that describe the conversation rather than a lasting preference ("I love you", "I like that")
+const VAGUE_OBJECTS = new Set(['you', 'u', 'ya', 'it', 'that', 'this', 'them', 'him', 'her', 'yours', 'how', 'when', 'what']);
+
+// Words that follow "my sister" etc. but aren't names
+const NOT_NAMES = new Set(['is', 'was', 'and', 'but', 'has', 'had', 'who', 'just', 'always', 'never', 'said', 'says', 'lives', 'loves', 'likes', 'the']);
+
+// Clause boundaries inside a sentence: "I love X, but I hate Y", "my favorite color is blue and my birthday is..."
+const CLAUSE_BREAK = /\s*(?:[,;]|\bbut\b|\band\s+(?=(?:i|my)\b))\s*/i;
+
+const HEDGES = /\b(?:i think|maybe|probably|kinda|kind of|sort of|i guess)\b/i;
+
+// Text following a liked/disliked thing that ends the phrase
+const PHRASE_END = String.raw`(?=$|[,;:(]|\s+(?:but|and then|because|cause|since|so|though|when|if)\b)`;
+
+const DATE = String.raw`(?:[A-Za-z]{3,9}\.?\s+\d{1,2}(?:st|nd|rd|th)?|\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?[A-Za-z]{3,9}|\d{1,2}[/.-]\d{1,2}(?:[/.-]\d{2,4})?)`;
+
+const PATTERNS = {
+  name: /\b(?:my name is|my name's|i go by)\s+([A-Za-z][\w'-]{1,30})/i,
+  callMe: /\b[Cc]all me\s+([A-Z][\w'-]{1,30})/,
+  like: new RegExp(String.raw`\bi\s+(?:really\s+|absolutely\s+|also\s+|kinda\s+|kind of\s+)?(love|adore|like|enjoy)\s+(.{3,40}?)${PHRASE_END}`, 'i'),
+  dislike: new RegExp(String.raw`\bi\s+(?:really\s+|absolutely\s+|also\s+)?(hate|dislike|can't stand|cannot stand|don't like|do not like|don't enjoy|no longer like|don't love)\s+(.{3,40}?)${PHRASE_END}`, 'i'),
+  favorite: new RegExp(String.raw`\bmy\s+(?:favou?rite|fav|fave)\s+([a-z][a-z ]{1,25}?)\s+(?:is|are)\s+(.{2,40}?)${PHRASE_END}`, 'i'),
+  date: new RegExp(String.raw`\bmy\s+(birthday|bday|anniversary|name day)\s+is\s+(?:on\s+)?(${DATE})`, 'i'),
+  relationship: new RegExp(String.raw`\bmy\s+(${RELATIONS.join('|')})(?:'s name is|\s+is called|\s+is named|\s+named|\s+called|,)?\s+([A-Za-z][a-z'-]{1,20})`, 'i'),
+};
+
+/**
+ * Normalize free text into a fact key: lowercase, no articles, filler or trailing punctuation
+ */
+export function normalizeKey(text) {
+  return text
+    .toLowerCase()
+    .replace(/[.!?"]+$/g, '')
+    .replace(/\s+(?:so much|a lot|very much|too|anymore|any more|lol|haha)$/g, '')
+    .replace(/^(?:the|a|an|my|some)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cleanValue(text) {
+  return text.replace(/[.!?"]+$/g, '').replace(/\s+(?:so much|a lot|very much|anymore|any more)$/i, '').trim();
+}
+
+function isMonthDate(text) {
+  const word = text.match(/[A-Za-z]{3,9}/);
+  return !word || MONTHS.includes(word[0].slice(0, 3).toLowerCase());
+}
+
+export function isSingleValued(category, key) {
+  if (category === 'like' || category === 'dislike') return false;
+  if (category === 'relationship') return SINGLE_RELATIONS.includes(key);
+  return true;
+}
+
+/**
+ * Extract facts from one user message
+ * @returns {ExtractedFact[]}
+ */
+export function extractFacts(message) {
+  if (!message) return [];
+
+  const facts = [];
+  const sentences = message.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+
+  for (const sentence of sentences) {
+    const hedged = HEDGES.test(sentence);
+    const add = (fact) => facts.push({
+      ...fact,
+      confidence: Math.round(Math.max(0.1, hedged ? fact.confidence - 0.2 : fact.confidence) * 100) / 100,
+      excerpt: sentence.slice(0, 200),
+    });
+
+    for (const clause of sentence.split(CLAUSE_BREAK).filter(Boolean)) {
+      extractFromClause(clause, add);
+    }
+  }
+
+  return facts;
+}
+
+/**
+ * Match every fact pattern against one clause
+ */
+function extractFromClause(clause, add) {
+  let match = clause.match(PATTERNS.name) || clause.match(PATTERNS.callMe);
+  if (match) {
+    const name = match[1].charAt(0).toUpperCase() + match[1].slice(1);
+    add({ category: 'name', key: 'name', value: name, confidence: 0.9 });
+  }
+
+  // Dislikes first so "I don't like X" isn't also read as a like
+  match = clause.match(PATTERNS.dislike);
+  if (match) {
+    const key = normalizeKey(match[2]);
+    if (key.length >= 3 && !VAGUE_OBJECTS.has(key)) {
+      add({ category: 'dislike', key, value: cleanValue(match[2]), confidence: /hate|can't stand|cannot stand/i.test(match[1]) ? 0.85 : 0.75 });
+    }
+  } else {
+    match = clause.match(PATTERNS.like);
+    if (match && !/\b(?:would|'d)\s+(?:really\s+)?like\b/i.test(clause)) {
+      const key = normalizeKey(match[2]);
+      if (key.length >= 3 && !VAGUE_OBJECTS.has(key)) {
+        add({ category: 'like', key, value: cleanValue(match[2]), confidence: /love|adore/i.test(match[1]) ? 0.8 : 0.7 });
+      }
+    }
+  }
+
+  match = clause.match(PATTERNS.favorite);
+  if (match) {
+    add({ category: 'favorite', key: normalizeKey(match[1]), value: cleanValue(match[2]), confidence: 0.85 });
+  }
+
+  match = clause.match(PATTERNS.date);
+  if (match && isMonthDate(match[2])) {
+    const key = match[1].toLowerCase() === 'bday' ? 'birthday' : match[1].toLowerCase();
+    add({ category: 'date', key, value: match[2].trim(), confidence: 0.9 });
+  }
+
+  match = clause.match(PATTERNS.relationship);
+  if (match && /^[A-Z]/.test(match[2]) && !NOT_NAMES.has(match[2].toLowerCase())) {
+    add({ category: 'relationship', key: match[1].toLowerCase(), value: match[2], confidence: 0.8 });
+  }
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFacts, normalizeKey, isSingleValued } from './factExtractor.js';
+
+// The extracted facts without their excerpts, for compact comparisons
+const factsIn = (message) => extractFacts(message).map(({ category, key, value, confidence }) => ({ category, key, value, confidence }));
+
+test('extracts names', () => {
+  assert.deepEqual(factsIn('My name is alex'), [{ category: 'name', key: 'name', value: 'Alex', confidence: 0.9 }]);
+  assert.deepEqual(factsIn('Call me Sam'), [{ category: 'name', key: 'name', value: 'Sam', confidence: 0.9 }]);
+});
+
+test('splits likes and dislikes at clause breaks', () => {
+  assert.deepEqual(factsIn('I love pizza, but I hate olives'), [
+    { category: 'like', key: 'pizza', value: 'pizza', confidence: 0.8 },
+    { category: 'dislike', key: 'olives', value: 'olives', confidence: 0.85 },
+  ]);
+});
+
+test('a negated like is only a dislike', () => {
+  assert.deepEqual(factsIn("I don't like horror movies"), [
+    { category: 'dislike', key: 'horror movies', value: 'horror movies', confidence: 0.75 },
+  ]);
+});
+
+test('extracts favorites, dates and relationships', () => {
+  assert.deepEqual(factsIn('my favorite color is blue and my birthday is March 3rd'), [
+    { category: 'favorite', key: 'color', value: 'blue', confidence: 0.85 },
+    { category: 'date', key: 'birthday', value: 'March 3rd', confidence: 0.9 },
+  ]);
+  assert.deepEqual(factsIn('My sister is called Emma'), [{ category: 'relationship', key: 'sister', value: 'Emma', confidence: 0.8 }]);
+});
+
+test('hedged statements get a lower confidence', () => {
+  assert.deepEqual(factsIn('I think I like jazz'), [{ category: 'like', key: 'jazz', value: 'jazz', confidence: 0.5 }]);
+});
+
+test('ignores conversational phrases and non-facts', () => {
+  for (const message of ['I love you', 'I like that', "I'd like a coffee", 'my sister is tired', 'my birthday is Someday 5', '']) {
+    assert.deepEqual(extractFacts(message), [], message);
+  }
+});
+
+test('keeps the sentence each fact came from', () => {
+  const facts = extractFacts('My dog Rex loves walks. I enjoy hiking.');
+  assert.deepEqual(facts.map(fact => [fact.key, fact.excerpt]), [
+    ['dog', 'My dog Rex loves walks.'],
+    ['hiking', 'I enjoy hiking.'],
+  ]);
+});
+
+test('normalizeKey drops articles, filler and punctuation', () => {
+  assert.equal(normalizeKey('The  Beatles so much!'), 'beatles');
+  assert.equal(normalizeKey('my Cat'), 'cat');
+});
+
+test('only some categories hold a single value', () => {
+  assert.ok(isSingleValued('name', 'name'));
+  assert.ok(isSingleValued('relationship', 'mom'));
+  assert.ok(!isSingleValued('relationship', 'sister'));
+  assert.ok(!isSingleValued('like', 'pizza'));
+});
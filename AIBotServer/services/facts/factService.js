@@ -0,0 +1,248 @@
+import { UserFact } from '../../models/AiBotDbSchema.js';
+import { GLOBAL_SCOPE_KEY } from '../memoryScope.js';
+import { extractFacts, isSingleValued, normalizeKey, FACT_CATEGORIES } from './factExtractor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a fact stays valid after it was last confirmed; null = never goes stale
+const FACT_TTL_DAYS = {
+  name: null,
+  like: 180,
+  dislike: 180,
+  favorite: 365,
+  date: null,
+  relationship: null,
+};
+
+// Superseded facts are kept this long as history before MongoDB removes them
+const SUPERSEDED_TTL_DAYS = 90;
+
+const OPPOSITE_CATEGORY = { like: 'dislike', dislike: 'like' };
+
+function expiryFor(category, from = new Date()) {
+  const days = FACT_TTL_DAYS[category];
+  return days ? new Date(from.getTime() + days * DAY_MS) : null;
+}
+
+/**
+ * Confidence after hearing the same fact again: each mention closes part of the gap to 1
+ */
+function reinforce(current, incoming) {
+  return Math.min(0.99, Math.round((1 - (1 - current) * (1 - incoming * 0.5)) * 100) / 100);
+}
+
+function notExpired(now = new Date()) {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+/**
+ * Limit a fact query to the scope keys a conversation may see (null = every scope)
+ */
+function visibleIn(scopeKeys) {
+  return scopeKeys ? { scopeKey: { $in: scopeKeys } } : {};
+}
+
+/**
+ * Mark facts as replaced by `replacementId`, keeping them around for a while as history
+ */
+async function supersede(facts, replacementId) {
+  if (facts.length === 0) return;
+  await UserFact.updateMany(
+    { _id: { $in: facts.map(fact => fact._id) } },
+    { $set: { status: 'superseded', supersededBy: replacementId, expiresAt: new Date(Date.now() + SUPERSEDED_TTL_DAYS * DAY_MS) } }
+  );
+}
+
+/**
+ * Merge one fact into the user's store
+ * - the same fact again is reinforced (more confidence, later expiry)
+ * - a different value for a single-valued fact, or the opposite like/dislike, supersedes the old fact
+ * - extracted facts never override a fact the user corrected through the API
+ * Facts are stored under `source.scopeKey` (see memoryScope.js) and only merged with facts of the same scope
+ * @returns {Promise<{ action: 'created'|'reinforced'|'superseded'|'ignored', fact: object|null }>}
+ */
+export async function mergeFact(userId, fact, source = {}) {
+  const now = new Date();
+  const method = source.method || 'extracted';
+  const scopeKey = source.scopeKey || GLOBAL_SCOPE_KEY;
+  const active = { userId, status: 'active', ...notExpired(now), ...visibleIn([scopeKey]) };
+
+  const existing = await UserFact.findOne({ ...active, category: fact.category, key: fact.key }).lean();
+  const sameValue = existing && (!isSingleValued(fact.category, fact.key)
+    || normalizeKey(existing.value) === normalizeKey(fact.value));
+
+  if (sameValue) {
+    const update = {
+      $set: {
+        lastConfirmedAt: now,
+        expiresAt: expiryFor(fact.category, now),
+        confidence: method === 'correction' ? 1 : reinforce(existing.confidence, fact.confidence),
+      },
+      $inc: { mentions: 1 },
+    };
+    if (method === 'correction') update.$set.value = fact.value;
+    const updated = await UserFact.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+    return { action: 'reinforced', fact: updated };
+  }
+
+  // Facts this one contradicts: another value of a single-valued fact, or the opposite preference
+  const contradicted = [];
+  if (existing) contradicted.push(existing);
+  if (OPPOSITE_CATEGORY[fact.category]) {
+    const opposite = await UserFact.findOne({ ...active, category: OPPOSITE_CATEGORY[fact.category], key: fact.key }).lean();
+    if (opposite) contradicted.push(opposite);
+  }
+
+  if (method !== 'correction' && contradicted.some(old => old.source?.method === 'correction')) {
+    return { action: 'ignored', fact: null };
+  }
+
+  const created = await UserFact.create({
+    userId,
+    scopeKey,
+    category: fact.category,
+    key: fact.key,
+    value: fact.value,
+    confidence: method === 'correction' ? 1 : fact.confidence,
+    source: {
+      method,
+      turnId: source.turnId,
+      channelId: source.channelId,
+      excerpt: source.excerpt ?? fact.excerpt,
+    },
+    firstSeenAt: now,
+    lastConfirmedAt: now,
+    expiresAt: expiryFor(fact.category, now),
+  });
+
+  await supersede(contradicted, created._id);
+  return { action: contradicted.length > 0 ? 'superseded' : 'created', fact: created.toObject() };
+}
+
+/**
+ * Extract facts from a user's message and merge them into their store
+ * Failures are logged rather than thrown so a bad fact never breaks a chat turn
+ */
+export async function learnFacts(userId, message, { turnId, channelId, scopeKey } = {}) {
+  const results = [];
+  for (const fact of extractFacts(message)) {
+    try {
+      results.push(await mergeFact(userId, fact, { turnId, channelId, scopeKey }));
+    } catch (error) {
+      console.error(`Error storing ${fact.category} fact for user ${userId}:`, error.message || error);
+    }
+  }
+  return results;
+}
+
+/**
+ * Facts for a user, most confident first
+ * `status` is active (default), superseded or all; `scopeKeys` limits them to those scopes
+ */
+export async function listFacts(userId, { category, status = 'active', scopeKeys = null } = {}) {
+  const filter = { userId, ...notExpired(), ...visibleIn(scopeKeys) };
+  if (category) filter.category = category;
+  if (status !== 'all') filter.status = status;
+
+  return UserFact.find(filter)
+    .select('-__v')
+    .sort({ status: 1, category: 1, confidence: -1, lastConfirmedAt: -1 })
+    .lean();
+}
+
+/**
+ * Active facts grouped by category for display: { likes: [...], favorites: ['color: blue'], ... }
+ */
+export function groupFacts(facts) {
+  const groups = {};
+  const label = { name: 'name', like: 'likes', dislike: 'dislikes', favorite: 'favorites', date: 'dates', relationship: 'relationships' };
+  for (const fact of facts) {
+    const group = label[fact.category];
+    const text = ['like', 'dislike', 'name'].includes(fact.category) ? fact.value : `${fact.key}: ${fact.value}`;
+    (groups[group] ||= []).push(text);
+  }
+  return groups;
+}
+
+/**
+ * Render active facts as a prompt section; less certain facts are flagged so the model can hedge
+ */
+export function formatFactsForPrompt(facts) {
+  if (!facts || facts.length === 0) return '';
+
+  const describe = (fact) => `${fact.value}${fact.confidence < 0.6 ? ' (not sure)' : ''}`;
+  const lines = [];
+  const byCategory = (category) => facts.filter(fact => fact.category === category);
+
+  const name = byCategory('name')[0];
+  if (name) lines.push(`- Name: ${describe(name)}`);
+
+  const likes = byCategory('like');
+  if (likes.length > 0) lines.push(`- Likes: ${likes.map(describe).join(', ')}`);
+
+  const dislikes = byCategory('dislike');
+  if (dislikes.length > 0) lines.push(`- Dislikes: ${dislikes.map(describe).join(', ')}`);
+
+  for (const fact of byCategory('favorite')) lines.push(`- Favorite ${fact.key}: ${describe(fact)}`);
+  for (const fact of byCategory('date')) lines.push(`- ${fact.key.charAt(0).toUpperCase()}${fact.key.slice(1)}: ${describe(fact)}`);
+  for (const fact of byCategory('relationship')) lines.push(`- Their ${fact.key}: ${describe(fact)}`);
+
+  return `KNOWN FACTS ABOUT THE USER (things they told you):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a fact from API input, filling in the key where the category implies it
+ * @returns {{ fact?: object, error?: string }}
+ */
+export function factFromInput({ category, key, value }) {
+  if (!FACT_CATEGORIES.includes(category)) {
+    return { error: `\`category\` must be one of: ${FACT_CATEGORIES.join(', ')}` };
+  }
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text || text.length > 100) {
+    return { error: '`value` must be a non-empty string of at most 100 characters' };
+  }
+
+  let factKey;
+  if (category === 'name') factKey = 'name';
+  else if (category === 'like' || category === 'dislike') factKey = normalizeKey(text);
+  else factKey = typeof key === 'string' ? normalizeKey(key) : '';
+
+  if (!factKey) {
+    return { error: `\`key\` is required for ${category} facts (e.g. "color", "birthday", "sister")` };
+  }
+  return { fact: { category, key: factKey, value: text, confidence: 1 } };
+}
+
+/**
+ * Replace a fact with a user-provided correction; the old fact is kept as superseded history
+ * @returns {Promise<object|null>} the corrected fact, or null if the fact doesn't exist
+ */
+export async function correctFact(userId, factId, input) {
+  const existing = await UserFact.findOne({ _id: factId, userId }).lean();
+  if (!existing) return null;
+
+  const { fact, error } = factFromInput({
+    category: input.category || existing.category,
+    key: input.key ?? existing.key,
+    value: input.value ?? existing.value,
+  });
+  if (error) throw Object.assign(new Error(error), { status: 400 });
+
+  const { fact: corrected } = await mergeFact(userId, fact, { method: 'correction', excerpt: null, scopeKey: existing.scopeKey });
+  if (!corrected._id.equals(existing._id)) {
+    await supersede([existing], corrected._id);
+  }
+  return corrected;
+}
+
+/**
+ * Delete one fact, or every fact for the user when `factId` is omitted
+ * @returns {Promise<number>} number of facts deleted
+ */
+export async function deleteFacts(userId, factId) {
+  const filter = { userId };
+  if (factId) filter._id = factId;
+  const result = await UserFact.deleteMany(filter);
+  return result.deletedCount || 0;
+}
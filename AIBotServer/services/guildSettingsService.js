@@ -0,0 +1,188 @@
+import { GuildSettings, Persona } from '../models/AiBotDbSchema.js';
+import { CONTENT_MODES } from './safety/policyService.js';
+import { isValidTriggerMode, parseTriggerModes } from '../../utils/triggerModes.js';
+
+// Fields clients may change; everything else (guildId, version, timestamps) is managed here
+export const GUILD_SETTING_FIELDS = [
+  'enabled',
+  'allowedChannels',
+  'triggerMode',
+  'channelTriggerModes',
+  'personaName',
+  'language',
+  'contentMode',
+];
+
+const SNOWFLAKE = /^\d{5,25}$/;
+const MAX_ALLOWED_CHANNELS = 100;
+
+const DEFAULTS = Object.freeze({
+  enabled: null,
+  allowedChannels: [],
+  triggerMode: null,
+  channelTriggerModes: {},
+  personaName: null,
+  language: null,
+  contentMode: null,
+});
+
+/**
+ * Validate a partial settings update
+ * `null` clears a field back to its default
+ * @returns {{ changes: object, errors: string[] }}
+ */
+export async function validateGuildSettings(input) {
+  const changes = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, errors: ['Settings must be an object'] };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!GUILD_SETTING_FIELDS.includes(field)) errors.push(`Unknown setting \`${field}\``);
+  }
+
+  if ('enabled' in input) {
+    if (input.enabled !== null && typeof input.enabled !== 'boolean') errors.push('`enabled` must be true, false or null');
+    else changes.enabled = input.enabled;
+  }
+
+  if ('allowedChannels' in input) {
+    const channels = input.allowedChannels ?? [];
+    if (!Array.isArray(channels) || channels.some(id => typeof id !== 'string' || !SNOWFLAKE.test(id))) {
+      errors.push('`allowedChannels` must be a list of channel IDs');
+    } else if (channels.length > MAX_ALLOWED_CHANNELS) {
+      errors.push(`\`allowedChannels\` may hold at most ${MAX_ALLOWED_CHANNELS} channels`);
+    } else {
+      changes.allowedChannels = [...new Set(channels)];
+    }
+  }
+
+  if ('triggerMode' in input) {
+    if (input.triggerMode !== null && !isValidTriggerMode(input.triggerMode)) {
+      errors.push('`triggerMode` must be modes from all, mention, reply, keyword, ambient joined with |');
+    } else {
+      changes.triggerMode = input.triggerMode === null ? null : parseTriggerModes(input.triggerMode).join('|');
+    }
+  }
+
+  if ('channelTriggerModes' in input) {
+    const modes = input.channelTriggerModes ?? {};
+    const entries = typeof modes === 'object' && !Array.isArray(modes) ? Object.entries(modes) : null;
+    if (!entries || entries.some(([id, mode]) => !SNOWFLAKE.test(id) || !isValidTriggerMode(mode))) {
+      errors.push('`channelTriggerModes` must map channel IDs to trigger modes');
+    } else {
+      changes.channelTriggerModes = Object.fromEntries(entries.map(([id, mode]) => [id, parseTriggerModes(mode).join('|')]));
+    }
+  }
+
+  if ('personaName' in input) {
+    const name = typeof input.personaName === 'string' ? input.personaName.trim().toLowerCase() : input.personaName;
+    if (name === null) {
+      changes.personaName = null;
+    } else if (typeof name !== 'string' || !(await Persona.exists({ name }))) {
+      errors.push('`personaName` must be the name of an existing persona');
+    } else {
+      changes.personaName = name;
+    }
+  }
+
+  if ('language' in input) {
+    const language = typeof input.language === 'string' ? input.language.trim() : input.language;
+    if (language !== null && (typeof language !== 'string' || !language || language.length > 40)) {
+      errors.push('`language` must be a language name of at most 40 characters');
+    } else {
+      changes.language = language;
+    }
+  }
+
+  if ('contentMode' in input) {
+    if (input.contentMode !== null && !CONTENT_MODES.includes(input.contentMode)) {
+      errors.push(`\`contentMode\` must be one of: ${CONTENT_MODES.join(', ')}`);
+    } else {
+      changes.contentMode = input.contentMode;
+    }
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Turn a stored settings document into the shape clients see
+ * Values that no longer validate (e.g. edited directly in the database) are dropped with a warning
+ */
+function normalizeSettings(guildId, stored) {
+  const settings = { guildId, ...DEFAULTS, allowedChannels: [], channelTriggerModes: {}, version: 0, updatedAt: null };
+  if (!stored) return settings;
+
+  const warn = (field) => console.warn(`Ignoring invalid ${field} in settings for guild ${guildId}`);
+  const channelModes = stored.channelTriggerModes instanceof Map
+    ? Object.fromEntries(stored.channelTriggerModes)
+    : stored.channelTriggerModes || {};
+
+  if (typeof stored.enabled === 'boolean') settings.enabled = stored.enabled;
+
+  for (const channelId of stored.allowedChannels || []) {
+    if (SNOWFLAKE.test(channelId)) settings.allowedChannels.push(channelId);
+    else warn(`allowed channel ${channelId}`);
+  }
+
+  if (stored.triggerMode) {
+    if (isValidTriggerMode(stored.triggerMode)) settings.triggerMode = stored.triggerMode;
+    else warn('triggerMode');
+  }
+
+  for (const [channelId, mode] of Object.entries(channelModes)) {
+    if (isValidTriggerMode(mode)) settings.channelTriggerModes[channelId] = mode;
+    else warn(`trigger mode for channel ${channelId}`);
+  }
+
+  if (stored.contentMode) {
+    if (CONTENT_MODES.includes(stored.contentMode)) settings.contentMode = stored.contentMode;
+    else warn('contentMode');
+  }
+
+  settings.personaName = stored.personaName || null;
+  settings.language = stored.language || null;
+  settings.version = stored.version || 0;
+  settings.updatedAt = stored.updatedAt || null;
+  return settings;
+}
+
+/**
+ * Settings for a guild, with defaults for anything not set
+ */
+export async function getGuildSettings(guildId) {
+  const stored = guildId ? await GuildSettings.findOne({ guildId }).lean() : null;
+  return normalizeSettings(guildId || null, stored);
+}
+
+/**
+ * Settings of every guild, optionally only those changed after `updatedSince`
+ */
+export async function listGuildSettings({ updatedSince } = {}) {
+  const filter = updatedSince ? { updatedAt: { $gt: new Date(updatedSince) } } : {};
+  const stored = await GuildSettings.find(filter).sort({ updatedAt: 1 }).lean();
+  return stored.map(doc => normalizeSettings(doc.guildId, doc));
+}
+
+/**
+ * Apply already validated changes and bump the settings version
+ */
+export async function updateGuildSettings(guildId, changes) {
+  const stored = await GuildSettings.findOneAndUpdate(
+    { guildId },
+    { $set: changes, $inc: { version: 1 } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+  return normalizeSettings(guildId, stored);
+}
+
+/**
+ * Put every setting of a guild back to its default
+ */
+export async function resetGuildSettings(guildId) {
+  const cleared = { ...DEFAULTS, allowedChannels: [], channelTriggerModes: {} };
+  return updateGuildSettings(guildId, cleared);
+}
@@ -0,0 +1,121 @@
+import { ConversationTurn } from '../models/AiBotDbSchema.js';
+
+/**
+ * Read history/retention settings from the environment
+ * HISTORY_RETENTION_MAX_TURNS - newest turns kept per user and conversation scope (0 = unlimited)
+ * HISTORY_RETENTION_DAYS - turns older than this are deleted (0 = unlimited)
+ * HISTORY_RETRIEVAL_WINDOW - how many recent turns retrieval scores against
+ */
+export function getHistoryConfig(env = process.env) {
+  return {
+    maxTurns: parseInt(env.HISTORY_RETENTION_MAX_TURNS ?? '500', 10),
+    maxAgeDays: parseInt(env.HISTORY_RETENTION_DAYS ?? '0', 10),
+    retrievalWindow: parseInt(env.HISTORY_RETRIEVAL_WINDOW ?? '200', 10),
+  };
+}
+
+/**
+ * Store one conversation turn
+ */
+export async function addTurn({ userId, guildId = null, channelId = null, message, response, entities = [], timestamp = new Date(), embedding, embeddingModel }) {
+  return ConversationTurn.create({ userId, guildId, channelId, message, response, entities, timestamp, embedding, embeddingModel });
+}
+
+/**
+ * Most recent turns for a user, returned oldest first
+ * `scope` (see memoryScope.js) limits them to what the current conversation may see
+ */
+export async function getRecentTurns(userId, { scope, channelId, limit = 50 } = {}) {
+  const filter = { userId, ...scope?.transcriptFilter };
+  if (channelId) filter.channelId = channelId;
+
+  const turns = await ConversationTurn.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+
+  return turns.reverse();
+}
+
+/**
+ * Page backwards through a user's history, newest first
+ * `before` is the cursor returned as `nextCursor` by the previous page
+ */
+export async function getHistoryPage(userId, { channelId, before, limit = 20 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const filter = { userId };
+  if (channelId) filter.channelId = channelId;
+  if (before) filter.timestamp = { $lt: new Date(before) };
+
+  const turns = await ConversationTurn.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = turns.length > pageSize;
+  const page = turns.slice(0, pageSize);
+
+  return {
+    turns: page,
+    nextCursor: hasMore ? page[page.length - 1].timestamp.toISOString() : null,
+  };
+}
+
+/**
+ * Delete turns that fall outside the retention policy for a user
+ * Both limits apply to one conversation `scope` when one is given, since only that scope's aged-out turns have
+ * just been folded into its summary (see summaryService.js); without a scope they cover all of the user's turns
+ * Runs as plain deletes on the turn collection, so concurrent writes never race on a rewrite
+ */
+export async function applyRetentionPolicy(userId, config = getHistoryConfig(), scope = null) {
+  let deleted = 0;
+
+  const scopeFilter = { userId, ...scope?.transcriptFilter };
+
+  if (config.maxAgeDays > 0) {
+    const cutoff = new Date(Date.now() - config.maxAgeDays * 24 * 60 * 60 * 1000);
+    const result = await ConversationTurn.deleteMany({ ...scopeFilter, timestamp: { $lt: cutoff } });
+    deleted += result.deletedCount || 0;
+  }
+
+  if (config.maxTurns > 0) {
+    // Find the oldest turn we still want to keep and drop everything before it
+    const boundary = await ConversationTurn.findOne(scopeFilter)
+      .sort({ timestamp: -1 })
+      .skip(config.maxTurns - 1)
+      .select('timestamp')
+      .lean();
+
+    if (boundary) {
+      const result = await ConversationTurn.deleteMany({ ...scopeFilter, timestamp: { $lt: boundary.timestamp } });
+      deleted += result.deletedCount || 0;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Number of stored turns for a user
+ */
+export async function countTurns(userId) {
+  return ConversationTurn.countDocuments({ userId });
+}
+
+/**
+ * Delete a user's history; with `count`, only the most recent `count` turns, of one conversation `scope` when given
+ */
+export async function deleteTurns(userId, { count, scope = null } = {}) {
+  if (!count) {
+    const result = await ConversationTurn.deleteMany({ userId });
+    return result.deletedCount || 0;
+  }
+
+  const newest = await ConversationTurn.find({ userId, ...scope?.transcriptFilter })
+    .sort({ timestamp: -1 })
+    .limit(count)
+    .select('_id')
+    .lean();
+  const result = await ConversationTurn.deleteMany({ _id: { $in: newest.map(turn => turn._id) } });
+  return result.deletedCount || 0;
+}
@@ -0,0 +1,91 @@
+import { getRequestContext, runWithRequestContext } from './logger.js';
+
+/**
+ * In-process background jobs
+ * Queued jobs run one at a time in the order they were queued, so the work a chat turn leaves behind is applied
+ * in the same order every time; a failing job is retried up to JOB_MAX_ATTEMPTS times (default 3).
+ * Periodic jobs run on a timer and never overlap with themselves. A queued job logs with the request ID of the
+ * request that queued it
+ */
+
+const queue = [];
+let draining = null;
+const periodicTimers = new Map();
+
+export function getJobConfig(env = process.env) {
+  return {
+    maxAttempts: Math.max(parseInt(env.JOB_MAX_ATTEMPTS ?? '3', 10) || 1, 1),
+    retryDelayMs: parseInt(env.JOB_RETRY_DELAY_MS ?? '1000', 10),
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runJob({ name, run, context }, config) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await runWithRequestContext(context, run);
+      return;
+    } catch (error) {
+      if (attempt >= config.maxAttempts) {
+        console.error(`Background job ${name} failed after ${attempt} attempt(s):`, error.message || error);
+        return;
+      }
+      await sleep(config.retryDelayMs * attempt);
+    }
+  }
+}
+
+async function drain() {
+  const config = getJobConfig();
+  while (queue.length > 0) {
+    await runJob(queue.shift(), config);
+  }
+  draining = null;
+}
+
+/**
+ * Queue `run` (an async function) to run after the jobs already queued
+ */
+export function enqueueJob(name, run) {
+  queue.push({ name, run, context: getRequestContext() || {} });
+  if (!draining) draining = drain();
+}
+
+/**
+ * Resolve once every queued job has run
+ */
+export async function waitForJobs() {
+  while (draining) {
+    await draining;
+  }
+}
+
+/**
+ * Run `run` every `intervalMs`; a run still in progress when the next is due is not started twice
+ * Replaces an earlier schedule with the same name
+ */
+export function schedulePeriodicJob(name, intervalMs, run) {
+  cancelPeriodicJob(name);
+  if (!(intervalMs > 0)) return;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Periodic job ${name} failed:`, error.message || error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  periodicTimers.set(name, timer);
+}
+
+export function cancelPeriodicJob(name) {
+  clearInterval(periodicTimers.get(name));
+  periodicTimers.delete(name);
+}
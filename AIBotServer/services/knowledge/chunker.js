@@ -0,0 +1,152 @@
+/**
+ * Split knowledge base documents into retrievable chunks
+ * Markdown is split at headings and each chunk keeps its heading path (e.g. "Rules › Voice chat"); plain text is
+ * split at blank lines; JSON lists or objects give one entry per chunk. Paragraphs are packed into chunks of at
+ * most `maxChars` characters and only split mid-paragraph (at sentence ends) when a paragraph is longer than that
+ */
+
+export const KNOWLEDGE_FORMATS = ['markdown', 'text', 'json'];
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Format implied by a file name: .md/.markdown are Markdown, .json is JSON, anything else plain text
+ */
+export function detectFormat(source = '') {
+  const name = source.toLowerCase();
+  if (name.endsWith('.md') || name.endsWith('.markdown')) return 'markdown';
+  if (name.endsWith('.json')) return 'json';
+  return 'text';
+}
+
+/**
+ * Break text that is too long for one chunk at sentence ends, or hard at `maxChars` when a sentence is longer
+ */
+function splitLong(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of text.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [text]) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > maxChars) {
+      pieces.push(current.slice(0, maxChars).trim());
+      current = current.slice(maxChars);
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Pack a section's paragraphs into chunks of at most `maxChars`
+ */
+function packParagraphs(text, maxChars) {
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+    .flatMap(paragraph => paragraph.length > maxChars ? splitLong(paragraph, maxChars) : [paragraph]);
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Markdown sections with their heading path; headings inside fenced code blocks are ignored
+ */
+function markdownSections(content) {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    sections.push({ heading: headings.filter(Boolean).join(' › ') || null, text: lines.join('\n') });
+    lines = [];
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(HEADING);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      headings.length = level;
+      headings[level - 1] = match[2];
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return sections;
+}
+
+/**
+ * Prompt text for one JSON entry
+ */
+function renderEntry(value) {
+  if (value === null || typeof value !== 'object') return String(value ?? '');
+  if (Array.isArray(value)) return value.map(renderEntry).join('\n');
+  if (value.question !== undefined && value.answer !== undefined) return `Q: ${renderEntry(value.question)}\nA: ${renderEntry(value.answer)}`;
+
+  const body = value.text ?? value.content ?? value.body;
+  if (typeof body === 'string') return body;
+  return Object.entries(value)
+    .filter(([key]) => !['title', 'name'].includes(key))
+    .map(([key, field]) => `${key}: ${typeof field === 'object' && field !== null ? JSON.stringify(field) : field}`)
+    .join('\n');
+}
+
+/**
+ * One section per JSON entry: list items are labelled by their title, name or question, object fields by key
+ */
+function jsonSections(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw invalid(`Invalid JSON: ${err.message}`);
+    }
+  }
+  if (data === null || typeof data !== 'object') {
+    throw invalid('JSON knowledge must be a list or an object');
+  }
+
+  const entries = Array.isArray(data)
+    ? data.map((entry, i) => [entry?.title ?? entry?.name ?? entry?.question ?? `#${i + 1}`, entry])
+    : Object.entries(data);
+  return entries.map(([label, entry]) => ({ heading: String(label), text: renderEntry(entry) }));
+}
+
+/**
+ * Split a document into chunks, in document order
+ * `content` is the document text, or for JSON also an already parsed list or object
+ * @returns {Array<{ heading: string|null, text: string }>}
+ */
+export function chunkDocument(content, format, { maxChars = 1000 } = {}) {
+  if (!KNOWLEDGE_FORMATS.includes(format)) {
+    throw invalid(`Unknown format "${format}". Expected one of: ${KNOWLEDGE_FORMATS.join(', ')}`);
+  }
+  if (format !== 'json' && typeof content !== 'string') {
+    throw invalid(`${format} knowledge must be a string`);
+  }
+
+  const sections = format === 'markdown' ? markdownSections(content)
+    : format === 'json' ? jsonSections(content)
+    : [{ heading: null, text: content }];
+
+  return sections.flatMap(({ heading, text }) => packParagraphs(text, maxChars).map(chunk => ({ heading, text: chunk })));
+}
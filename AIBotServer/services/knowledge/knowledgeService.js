@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { GlobalContext, KnowledgeChunk } from '../../models/AiBotDbSchema.js';
+import { getEmbedder, cosineSimilarity } from '../embeddings/index.js';
+import { createLocalEmbedder } from '../embeddings/localEmbedder.js';
+import { chunkDocument, detectFormat } from './chunker.js';
+
+/**
+ * Knowledge base
+ * Documents (lore, server rules, FAQs) are listed in GlobalContext.knowledgeBase, per guild or shared by all
+ * (guildId null); their chunks are stored as KnowledgeChunk documents with an embedding, and the chunks most
+ * similar to a message are put into the prompt labelled with their source
+ */
+
+/**
+ * Read knowledge base settings from the environment
+ * KNOWLEDGE_CHUNK_CHARS - longest chunk in characters (default 1000)
+ * KNOWLEDGE_MAX_DOCUMENT_CHARS - largest document accepted (default 200000)
+ * KNOWLEDGE_TOP_K - chunks retrieved per message (default 3)
+ * KNOWLEDGE_MIN_SCORE - cosine similarity a chunk must reach (default 0.25)
+ * KNOWLEDGE_CANDIDATE_LIMIT - chunks scanned per search, in document order (default 2000)
+ */
+export function getKnowledgeConfig(env = process.env) {
+  return {
+    chunkChars: Math.max(parseInt(env.KNOWLEDGE_CHUNK_CHARS ?? '1000', 10) || 1000, 200),
+    maxDocumentChars: parseInt(env.KNOWLEDGE_MAX_DOCUMENT_CHARS ?? '200000', 10) || 200000,
+    topK: Math.max(parseInt(env.KNOWLEDGE_TOP_K ?? '3', 10) || 0, 0),
+    minScore: parseFloat(env.KNOWLEDGE_MIN_SCORE ?? '0.25') || 0,
+    candidateLimit: parseInt(env.KNOWLEDGE_CANDIDATE_LIMIT ?? '2000', 10) || 2000,
+  };
+}
+
+const EMBED_BATCH_SIZE = 64;
+const MAX_SOURCE_LENGTH = 200;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+let localEmbedder = null;
+
+/**
+ * Embedder for knowledge chunks: the configured one, or the offline hashing embedder when none is configured,
+ * so the knowledge base works without any embedding service
+ */
+export function getKnowledgeEmbedder() {
+  return getEmbedder() || (localEmbedder ??= createLocalEmbedder());
+}
+
+/**
+ * How a chunk is cited in the prompt, e.g. "rules.md › Voice chat"
+ */
+export function chunkLabel({ source, heading }) {
+  return heading ? `${source} › ${heading}` : source;
+}
+
+async function embedChunks(embedder, chunks) {
+  const vectors = [];
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+    vectors.push(...await embedder.embed(batch.map(chunk => `${chunkLabel(chunk)}\n${chunk.text}`)));
+  }
+  return vectors;
+}
+
+async function listAllDocuments() {
+  const globalContext = await GlobalContext.findOne({}).select('knowledgeBase').lean();
+  return globalContext?.knowledgeBase || [];
+}
+
+/**
+ * Documents in the knowledge base, for one guild (null for the shared ones) or all when `guildId` is undefined
+ */
+export async function listDocuments({ guildId } = {}) {
+  const documents = await listAllDocuments();
+  return documents
+    .filter(document => guildId === undefined || (document.guildId ?? null) === guildId)
+    .sort((a, b) => (a.guildId || '').localeCompare(b.guildId || '') || a.source.localeCompare(b.source));
+}
+
+/**
+ * One document with its chunks in order, or null
+ */
+export async function getDocument(documentId) {
+  const document = (await listAllDocuments()).find(entry => entry._id.equals(documentId));
+  if (!document) return null;
+
+  const chunks = await KnowledgeChunk.find({ documentId: document._id })
+    .select('heading index text')
+    .sort({ index: 1 })
+    .lean();
+  return { document, chunks: chunks.map(({ heading, index, text }) => ({ index, heading: heading ?? null, text })) };
+}
+
+/**
+ * Chunk, embed and store a document; uploading the same `source` for a guild again replaces it
+ * `content` is the document text (or a parsed list/object for JSON); `format` defaults to the source's extension
+ * Throws an error with `status` 400 for documents that can't be ingested
+ * @returns {Promise<{ document: object, status: 'created'|'replaced'|'unchanged' }>}
+ */
+export async function ingestDocument({ guildId = null, source, title = null, format, content, ingestedBy = 'api' }, config = getKnowledgeConfig()) {
+  if (typeof source !== 'string' || !source.trim() || source.length > MAX_SOURCE_LENGTH) {
+    throw invalid(`\`source\` must be a non-empty string of at most ${MAX_SOURCE_LENGTH} characters`);
+  }
+  if (guildId !== null && (typeof guildId !== 'string' || !guildId)) {
+    throw invalid('`guildId` must be a guild ID or null');
+  }
+  if (title !== null && typeof title !== 'string') {
+    throw invalid('`title` must be a string');
+  }
+  if (content === undefined || content === null) {
+    throw invalid('`content` is required');
+  }
+
+  source = source.trim();
+  format = format || detectFormat(source);
+  const raw = typeof content === 'string' ? content : JSON.stringify(content);
+  if (raw.length > config.maxDocumentChars) {
+    throw invalid(`Documents may be at most ${config.maxDocumentChars} characters`);
+  }
+
+  const embedder = getKnowledgeEmbedder();
+  const contentHash = crypto.createHash('sha256').update(`${format}\n${raw}`).digest('hex');
+  const existing = (await listAllDocuments()).find(document => (document.guildId ?? null) === guildId && document.source === source);
+  if (existing && existing.contentHash === contentHash && existing.embeddingModel === embedder.model && (existing.title ?? null) === title) {
+    return { document: existing, status: 'unchanged' };
+  }
+
+  const pieces = chunkDocument(content, format, { maxChars: config.chunkChars });
+  if (pieces.length === 0) {
+    throw invalid('The document has no text');
+  }
+
+  const documentId = new mongoose.Types.ObjectId();
+  const chunks = pieces.map((piece, index) => ({ documentId, guildId, source, heading: piece.heading, index, text: piece.text }));
+  const vectors = await embedChunks(embedder, chunks);
+  await KnowledgeChunk.insertMany(chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i], embeddingModel: embedder.model })));
+
+  const document = {
+    _id: documentId,
+    guildId,
+    source,
+    title,
+    format,
+    contentHash,
+    characters: raw.length,
+    chunkCount: chunks.length,
+    embeddingModel: embedder.model,
+    ingestedAt: new Date(),
+    ingestedBy,
+  };
+
+  // The new chunks are stored before the document is listed, so a document never points at missing chunks
+  if (existing) {
+    await GlobalContext.updateOne({ 'knowledgeBase._id': existing._id }, { $set: { 'knowledgeBase.$': document } });
+    await KnowledgeChunk.deleteMany({ documentId: existing._id });
+  } else {
+    await GlobalContext.updateOne({}, { $push: { knowledgeBase: document } }, { upsert: true });
+  }
+
+  return { document, status: existing ? 'replaced' : 'created' };
+}
+
+/**
+ * Remove a document and its chunks; returns the removed document or null
+ */
+export async function deleteDocument(documentId) {
+  const document = (await listAllDocuments()).find(entry => entry._id.equals(documentId));
+  if (!document) return null;
+
+  await GlobalContext.updateOne({}, { $pull: { knowledgeBase: { _id: document._id } } });
+  await KnowledgeChunk.deleteMany({ documentId: document._id });
+  return document;
+}
+
+/**
+ * Chunks most similar to `query` that a guild may see (its own and the shared ones; only shared ones outside guilds)
+ * Ties are ranked by source and position, so the same knowledge always gives the same order
+ * @returns {Promise<Array<{ id: string, documentId: string, source: string, heading: string|null, label: string, text: string, score: number }>>}
+ */
+export async function searchKnowledge(query, { guildId = null, limit, config = getKnowledgeConfig() } = {}) {
+  const topK = limit ?? config.topK;
+  if (!query || !query.trim() || topK <= 0) return [];
+
+  // Scanned in document order, so a knowledge base larger than the candidate limit always scans the same chunks
+  const embedder = getKnowledgeEmbedder();
+  const candidates = await KnowledgeChunk.find({ guildId: { $in: guildId ? [null, guildId] : [null] }, embeddingModel: embedder.model })
+    .select('+embedding')
+    .sort({ documentId: 1, index: 1 })
+    .limit(config.candidateLimit + 1)
+    .lean();
+  if (candidates.length > config.candidateLimit) {
+    candidates.pop();
+    console.warn(`Knowledge search for guild ${guildId ?? 'none'} scanned only the first ${config.candidateLimit} chunks; raise KNOWLEDGE_CANDIDATE_LIMIT`);
+  }
+  if (candidates.length === 0) return [];
+
+  const [queryEmbedding] = await embedder.embed([query]);
+  const scored = [];
+  for (const chunk of candidates) {
+    const score = cosineSimilarity(queryEmbedding, chunk.embedding);
+    if (score < config.minScore) continue;
+    scored.push({
+      id: String(chunk._id),
+      documentId: String(chunk.documentId),
+      source: chunk.source,
+      heading: chunk.heading ?? null,
+      label: chunkLabel(chunk),
+      text: chunk.text,
+      index: chunk.index,
+      score: Math.round(score * 1000) / 1000,
+    });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.source.localeCompare(b.source) || a.index - b.index)
+    .slice(0, topK)
+    .map(({ index, ...chunk }) => chunk);
+}
+
+/**
+ * Re-embed chunks stored with a different model than the current knowledge embedder (after switching embedders)
+ * @returns {Promise<number>} chunks re-embedded
+ */
+export async function reindexKnowledge({ onProgress } = {}) {
+  const embedder = getKnowledgeEmbedder();
+  let embedded = 0;
+  for (;;) {
+    const batch = await KnowledgeChunk.find({ embeddingModel: { $ne: embedder.model } })
+      .select('_id source heading text')
+      .limit(EMBED_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    const vectors = await embedChunks(embedder, batch);
+    await KnowledgeChunk.bulkWrite(batch.map((chunk, i) => ({
+      updateOne: {
+        filter: { _id: chunk._id },
+        update: { $set: { embedding: vectors[i], embeddingModel: embedder.model } },
+      },
+    })));
+    embedded += batch.length;
+    onProgress?.(embedded);
+  }
+
+  await GlobalContext.updateOne({}, { $set: { 'knowledgeBase.$[].embeddingModel': embedder.model } });
+  return embedded;
+}
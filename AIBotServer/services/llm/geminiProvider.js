@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { normalizeRequest, normalizeResponse } from './llmTypes.js';
+import { readSSEData } from './streamUtils.js';
+
+/**
+ * Google Gemini provider (generateContent REST API)
+ * apiUrl is the full model endpoint, e.g.
+ * https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent
+ */
+export function createGeminiProvider({ apiUrl, apiKey }) {
+  if (!apiUrl) {
+    throw new Error('Gemini provider requires GEMINI_API_URL');
+  }
+
+  const model = apiUrl.match(/models\/([^:/?]+)/)?.[1] || 'gemini';
+  const streamUrl = apiUrl.replace(':generateContent', ':streamGenerateContent');
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(`${apiUrl}?key=${apiKey}`, buildGeminiBody(normalized), { signal });
+      const data = response.data;
+      const candidate = data.candidates?.[0];
+
+      return normalizeResponse({
+        text: (candidate?.content?.parts || []).map(val => val.text || '').join(' '),
+        provider: 'gemini',
+        model: data.modelVersion || model,
+        finishReason: candidate?.finishReason,
+        usage: {
+          promptTokens: data.usageMetadata?.promptTokenCount,
+          completionTokens: data.usageMetadata?.candidatesTokenCount,
+          totalTokens: data.usageMetadata?.totalTokenCount
+        }
+      });
+    },
+
+    async *stream(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(
+        `${streamUrl}?alt=sse&key=${apiKey}`,
+        buildGeminiBody(normalized),
+        { responseType: 'stream', signal }
+      );
+
+      let text = '';
+      let finishReason = null;
+      let usageMetadata = {};
+      let modelVersion = model;
+
+      for await (const data of readSSEData(response.data)) {
+        const event = JSON.parse(data);
+        const candidate = event.candidates?.[0];
+        const delta = (candidate?.content?.parts || []).map(val => val.text || '').join('');
+        if (candidate?.finishReason) finishReason = candidate.finishReason;
+        if (event.usageMetadata) usageMetadata = event.usageMetadata;
+        if (event.modelVersion) modelVersion = event.modelVersion;
+        if (delta) {
+          text += delta;
+          yield { delta };
+        }
+      }
+
+      yield {
+        done: true,
+        response: normalizeResponse({
+          text,
+          provider: 'gemini',
+          model: modelVersion,
+          finishReason,
+          usage: {
+            promptTokens: usageMetadata.promptTokenCount,
+            completionTokens: usageMetadata.candidatesTokenCount,
+            totalTokens: usageMetadata.totalTokenCount
+          }
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Map a normalized request onto Gemini's contents/systemInstruction format
+ * Consecutive messages with the same role are merged, since Gemini expects user and model turns to alternate
+ */
+function buildGeminiBody(request) {
+  const contents = [];
+  for (const msg of request.messages) {
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    const previous = contents[contents.length - 1];
+    if (previous?.role === role) {
+      previous.parts.push({ text: msg.content });
+    } else {
+      contents.push({ role, parts: [{ text: msg.content }] });
+    }
+  }
+
+  const body = { contents };
+
+  if (request.system) {
+    body.systemInstruction = { parts: [{ text: request.system }] };
+  }
+
+  const generationConfig = {};
+  if (request.temperature !== undefined) generationConfig.temperature = request.temperature;
+  if (request.maxTokens !== undefined) generationConfig.maxOutputTokens = request.maxTokens;
+  if (request.topP !== undefined) generationConfig.topP = request.topP;
+  if (request.stopSequences?.length) generationConfig.stopSequences = request.stopSequences;
+  if (Object.keys(generationConfig).length > 0) {
+    body.generationConfig = generationConfig;
+  }
+
+  if (request.safetySettings?.length) {
+    body.safetySettings = request.safetySettings.map(({ category, threshold }) => ({ category, threshold }));
+  }
+
+  return body;
+}
@@ -0,0 +1,93 @@
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAIProvider } from './openAIProvider.js';
+import { createOllamaProvider } from './ollamaProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { withResilience, getResilienceConfig } from './resilience.js';
+
+export { streamFromProvider } from './streamUtils.js';
+export { getTokenCounter, estimateTokens } from './tokenCounter.js';
+export { LLMError, LLM_ERROR_CODES } from './resilience.js';
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Read provider configuration from the environment
+ * LLM_PROVIDER selects the backend (gemini | openai | ollama | mock), defaults to gemini
+ */
+export function getLLMConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  switch (provider) {
+    case 'gemini':
+      return { provider, apiUrl: env.GEMINI_API_URL, apiKey: env.GEMINI_API_KEY };
+    case 'openai':
+      return { provider, apiUrl: env.OPENAI_API_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL };
+    case 'ollama':
+      return { provider, apiUrl: env.OLLAMA_URL, model: env.OLLAMA_MODEL };
+    case 'mock':
+      return { provider, response: env.MOCK_LLM_RESPONSE };
+    default:
+      return { provider };
+  }
+}
+
+/**
+ * Configuration of the fallback provider, or null when none is set
+ * LLM_FALLBACK_PROVIDER picks another backend (configured with its usual variables);
+ * LLM_FALLBACK_MODEL alone switches to another model of the primary provider
+ */
+export function getFallbackLLMConfig(env = process.env) {
+  const provider = env.LLM_FALLBACK_PROVIDER || (env.LLM_FALLBACK_MODEL ? env.LLM_PROVIDER || 'gemini' : null);
+  if (!provider) return null;
+
+  const config = getLLMConfig({ ...env, LLM_PROVIDER: provider });
+  if (env.LLM_FALLBACK_MODEL) {
+    if (config.provider === 'gemini') {
+      // The Gemini model is part of the endpoint URL
+      config.apiUrl = config.apiUrl?.replace(/models\/[^:/?]+/, `models/${env.LLM_FALLBACK_MODEL}`);
+    } else {
+      config.model = env.LLM_FALLBACK_MODEL;
+    }
+  }
+  return config;
+}
+
+/**
+ * Create a provider instance from a config object
+ */
+export function createLLMProvider(config) {
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Get the provider configured for this deployment (created lazily, then cached)
+ * Calls go through the resilience layer: timeouts, retries, circuit breaker and the fallback provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    const primary = createLLMProvider(getLLMConfig());
+    const fallbackConfig = getFallbackLLMConfig();
+    const fallback = fallbackConfig ? createLLMProvider(fallbackConfig) : null;
+    activeProvider = withResilience(primary, { fallback, config: getResilienceConfig() });
+    console.log(`Using LLM provider: ${primary.name} (${primary.model})${fallback ? `, falling back to ${fallback.name} (${fallback.model})` : ''}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the active provider (e.g. with a mock in scripts and tests)
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
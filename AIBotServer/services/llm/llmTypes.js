@@ -0,0 +1,69 @@
+/**
+ * Normalized request/response shapes shared by every LLM provider.
+ *
+ * @typedef {Object} LLMMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} content
+ *
+ * @typedef {Object} LLMRequest
+ * @property {string} [system] - System instruction / persona
+ * @property {LLMMessage[]} messages - Conversation turns, oldest first
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {number} [topP]
+ * @property {string[]} [stopSequences]
+ * @property {Array<{ category: string, threshold: string }>} [safetySettings] - Gemini only, ignored by other providers
+ *
+ * @typedef {Object} LLMUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ *
+ * @typedef {Object} LLMResponse
+ * @property {string} text - Generated reply text
+ * @property {string} provider - Provider name that produced the reply
+ * @property {string} model - Model identifier reported by the provider
+ * @property {string|null} finishReason
+ * @property {LLMUsage} usage
+ *
+ * @typedef {Object} LLMCallOptions - second argument of a provider's generate() and stream()
+ * @property {AbortSignal} [signal] - aborts the HTTP request (used for timeouts)
+ */
+
+/**
+ * Build a normalized request, accepting either a full request object or a plain prompt string
+ */
+export function normalizeRequest(request) {
+  if (typeof request === 'string') {
+    return { messages: [{ role: 'user', content: request }] };
+  }
+
+  const messages = (request.messages || [])
+    .filter(msg => msg && typeof msg.content === 'string')
+    .map(msg => ({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content
+    }));
+
+  return { ...request, messages };
+}
+
+/**
+ * Build a normalized response object
+ */
+export function normalizeResponse({ text, provider, model, finishReason, usage }) {
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
+
+  return {
+    text: text || '',
+    provider,
+    model: model || 'unknown',
+    finishReason: finishReason || null,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.totalTokens || promptTokens + completionTokens
+    }
+  };
+}
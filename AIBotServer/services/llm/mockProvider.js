@@ -0,0 +1,70 @@
+import { normalizeRequest, normalizeResponse } from './llmTypes.js';
+
+/**
+ * Deterministic offline provider for local development and tests
+ * Replies with a fixed response, a scripted sequence of responses, or an echo of the last user message
+ */
+export function createMockProvider({ response, responses } = {}) {
+  const scripted = Array.isArray(responses) ? [...responses] : [];
+  let callCount = 0;
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    calls: [],
+
+    async generate(request) {
+      const normalized = normalizeRequest(request);
+      this.calls.push(normalized);
+
+      const lastUserMessage = [...normalized.messages].reverse().find(msg => msg.role === 'user');
+      let text;
+      if (scripted.length > 0) {
+        text = scripted[callCount % scripted.length];
+      } else if (response) {
+        text = response;
+      } else {
+        text = `Mock reply to: ${lastMessageLine(lastUserMessage?.content)}`;
+      }
+      callCount++;
+
+      const promptText = [normalized.system || '', ...normalized.messages.map(msg => msg.content)].join(' ');
+      return normalizeResponse({
+        text,
+        provider: 'mock',
+        model: 'mock',
+        finishReason: 'STOP',
+        usage: {
+          promptTokens: countWords(promptText),
+          completionTokens: countWords(text)
+        }
+      });
+    },
+
+    async *stream(request) {
+      const response = await this.generate(request);
+      // Emit word-sized chunks so streaming consumers can be exercised offline
+      const pieces = response.text.match(/\S+\s*|\s+/g) || [];
+      for (const delta of pieces) {
+        yield { delta };
+      }
+      yield { done: true, response };
+    }
+  };
+}
+
+/**
+ * Last non-empty line of a prompt, skipping bare speaker labels like "Sakura AI:",
+ * so flattened prompts echo the user's actual message
+ */
+function lastMessageLine(content) {
+  if (!content) return '';
+  const lines = content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^[^:]{1,40}:$/.test(line));
+  return (lines[lines.length - 1] || '').slice(0, 200);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
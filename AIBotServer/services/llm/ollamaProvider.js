@@ -0,0 +1,93 @@
+import axios from 'axios';
+import { normalizeRequest, normalizeResponse } from './llmTypes.js';
+import { readLines } from './streamUtils.js';
+
+/**
+ * Provider for a local Ollama server (/api/chat)
+ * llama.cpp's server exposes an OpenAI-compatible API, use the openai provider for it
+ */
+export function createOllamaProvider({ apiUrl, model }) {
+  if (!model) {
+    throw new Error('Ollama provider requires a model name (OLLAMA_MODEL)');
+  }
+
+  const baseUrl = (apiUrl || 'http://localhost:11434').replace(/\/+$/, '');
+
+  return {
+    name: 'ollama',
+    model,
+
+    async generate(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(`${baseUrl}/api/chat`, buildOllamaBody(normalized, model), { signal });
+      const data = response.data;
+
+      return normalizeResponse({
+        text: data.message?.content,
+        provider: 'ollama',
+        model: data.model || model,
+        finishReason: data.done_reason,
+        usage: {
+          promptTokens: data.prompt_eval_count,
+          completionTokens: data.eval_count
+        }
+      });
+    },
+
+    async *stream(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(
+        `${baseUrl}/api/chat`,
+        { ...buildOllamaBody(normalized, model), stream: true },
+        { responseType: 'stream', signal }
+      );
+
+      // Ollama streams newline-delimited JSON objects
+      let text = '';
+      let finalEvent = {};
+      for await (const line of readLines(response.data)) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        const delta = event.message?.content || '';
+        if (delta) {
+          text += delta;
+          yield { delta };
+        }
+        if (event.done) finalEvent = event;
+      }
+
+      yield {
+        done: true,
+        response: normalizeResponse({
+          text,
+          provider: 'ollama',
+          model: finalEvent.model || model,
+          finishReason: finalEvent.done_reason,
+          usage: {
+            promptTokens: finalEvent.prompt_eval_count,
+            completionTokens: finalEvent.eval_count
+          }
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Map a normalized request onto Ollama's chat format
+ */
+function buildOllamaBody(request, model) {
+  const messages = [];
+  if (request.system) {
+    messages.push({ role: 'system', content: request.system });
+  }
+  messages.push(...request.messages);
+
+  const options = {};
+  if (request.temperature !== undefined) options.temperature = request.temperature;
+  if (request.maxTokens !== undefined) options.num_predict = request.maxTokens;
+  if (request.topP !== undefined) options.top_p = request.topP;
+  if (request.stopSequences?.length) options.stop = request.stopSequences;
+
+  return { model, messages, options, stream: false };
+}
@@ -0,0 +1,106 @@
+import axios from 'axios';
+import { normalizeRequest, normalizeResponse } from './llmTypes.js';
+import { readSSEData } from './streamUtils.js';
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, OpenRouter, vLLM, llama.cpp server, LM Studio, ...)
+ */
+export function createOpenAIProvider({ apiUrl, apiKey, model }) {
+  if (!model) {
+    throw new Error('OpenAI-compatible provider requires a model name (OPENAI_MODEL)');
+  }
+
+  const baseUrl = (apiUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        buildOpenAIBody(normalized, model),
+        { headers, signal }
+      );
+      const data = response.data;
+      const choice = data.choices?.[0];
+
+      return normalizeResponse({
+        text: choice?.message?.content,
+        provider: 'openai',
+        model: data.model || model,
+        finishReason: choice?.finish_reason,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens,
+          completionTokens: data.usage?.completion_tokens,
+          totalTokens: data.usage?.total_tokens
+        }
+      });
+    },
+
+    async *stream(request, { signal } = {}) {
+      const normalized = normalizeRequest(request);
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        { ...buildOpenAIBody(normalized, model), stream: true, stream_options: { include_usage: true } },
+        { headers, responseType: 'stream', signal }
+      );
+
+      let text = '';
+      let finishReason = null;
+      let usage = {};
+      let reportedModel = model;
+
+      for await (const data of readSSEData(response.data)) {
+        if (data === '[DONE]') break;
+        const event = JSON.parse(data);
+        const choice = event.choices?.[0];
+        const delta = choice?.delta?.content || '';
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (event.usage) usage = event.usage;
+        if (event.model) reportedModel = event.model;
+        if (delta) {
+          text += delta;
+          yield { delta };
+        }
+      }
+
+      yield {
+        done: true,
+        response: normalizeResponse({
+          text,
+          provider: 'openai',
+          model: reportedModel,
+          finishReason,
+          usage: {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+          }
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Map a normalized request onto the chat completions format
+ */
+function buildOpenAIBody(request, model) {
+  const messages = [];
+  if (request.system) {
+    messages.push({ role: 'system', content: request.system });
+  }
+  messages.push(...request.messages);
+
+  const body = { model, messages };
+  if (request.temperature !== undefined) body.temperature = request.temperature;
+  if (request.maxTokens !== undefined) body.max_tokens = request.maxTokens;
+  if (request.topP !== undefined) body.top_p = request.topP;
+  if (request.stopSequences?.length) body.stop = request.stopSequences;
+
+  return body;
+}
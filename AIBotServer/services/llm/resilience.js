@@ -0,0 +1,341 @@
+import { streamFromProvider } from './streamUtils.js';
+import { observeLLMCall, countLLMRetry, countLLMFallback, trackCircuitBreaker } from '../metrics.js';
+
+/**
+ * Resilience layer around LLM providers
+ * Every call gets a timeout and is retried with exponential backoff and jitter (waiting at least as long as
+ * the provider's Retry-After). A circuit breaker stops calling a provider that keeps failing, and an optional
+ * fallback provider is tried when the primary one gives up. Failures surface as an LLMError whose `code`
+ * tells callers whether trying again later can help
+ */
+
+export const LLM_ERROR_CODES = Object.freeze({
+  TIMEOUT: 'llm_timeout',
+  RATE_LIMITED: 'llm_rate_limited',
+  UNAVAILABLE: 'llm_unavailable',
+  CIRCUIT_OPEN: 'llm_circuit_open',
+  FAILED: 'llm_failed',
+});
+
+const RETRYABLE_CODES = new Set([
+  LLM_ERROR_CODES.TIMEOUT,
+  LLM_ERROR_CODES.RATE_LIMITED,
+  LLM_ERROR_CODES.UNAVAILABLE,
+  LLM_ERROR_CODES.CIRCUIT_OPEN,
+]);
+
+// Connection-level failures that say nothing about the request itself
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT', 'ECONNABORTED']);
+
+// Rejections of the request itself; the provider is up, so they don't count towards the circuit breaker
+const REQUEST_ERROR_STATUSES = new Set([400, 413, 422]);
+
+/**
+ * A failed LLM call
+ * `retryable` errors (timeouts, rate limits, outages, open circuit) may succeed later, others won't without a change
+ */
+export class LLMError extends Error {
+  constructor(code, message, { provider = null, status = null, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE_CODES.has(this.code);
+  }
+}
+
+/**
+ * Read resilience settings from the environment
+ * LLM_TIMEOUT_MS - per call, or per chunk while streaming (default 30000, 0 disables)
+ * LLM_MAX_RETRIES - retries per provider after the first attempt (default 2)
+ * LLM_RETRY_BASE_MS / LLM_RETRY_MAX_MS - backoff range (default 500 / 8000); a Retry-After longer than the maximum isn't waited for
+ * LLM_BREAKER_THRESHOLD - consecutive failures that open the circuit (default 5, 0 disables)
+ * LLM_BREAKER_COOLDOWN_MS - how long an open circuit rejects calls before letting a trial call through (default 30000)
+ */
+export function getResilienceConfig(env = process.env) {
+  return {
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS ?? '30000', 10),
+    maxRetries: parseInt(env.LLM_MAX_RETRIES ?? '2', 10),
+    retryBaseMs: parseInt(env.LLM_RETRY_BASE_MS ?? '500', 10),
+    retryMaxMs: parseInt(env.LLM_RETRY_MAX_MS ?? '8000', 10),
+    breakerThreshold: parseInt(env.LLM_BREAKER_THRESHOLD ?? '5', 10),
+    breakerCooldownMs: parseInt(env.LLM_BREAKER_COOLDOWN_MS ?? '30000', 10),
+  };
+}
+
+/**
+ * Turn an axios/provider error into an LLMError
+ */
+export function toLLMError(err, providerName) {
+  if (err instanceof LLMError) return err;
+
+  const status = err.response?.status ?? null;
+  let code = LLM_ERROR_CODES.FAILED;
+  if (status === 429) code = LLM_ERROR_CODES.RATE_LIMITED;
+  else if (status === 408 || status >= 500) code = LLM_ERROR_CODES.UNAVAILABLE;
+  else if (!status && NETWORK_ERROR_CODES.has(err.code)) code = LLM_ERROR_CODES.UNAVAILABLE;
+
+  const upstreamMessage = typeof err.response?.data?.error?.message === 'string' ? err.response.data.error.message : err.message;
+  return new LLMError(code, `${providerName} request failed${status ? ` (${status})` : ''}: ${upstreamMessage}`, {
+    provider: providerName,
+    status,
+    retryAfterMs: parseRetryAfter(err.response),
+    cause: err,
+  });
+}
+
+/**
+ * How long a response asks us to wait, in ms, or null
+ * Reads the Retry-After header (seconds or HTTP date), then Gemini's RetryInfo `retryDelay` ("13s")
+ */
+export function parseRetryAfter(response) {
+  const header = response?.headers?.['retry-after'];
+  if (header !== undefined && header !== null && header !== '') {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const details = response?.data?.error?.details;
+  const retryDelay = Array.isArray(details) ? details.find(detail => typeof detail?.retryDelay === 'string')?.retryDelay : null;
+  const seconds = retryDelay ? parseFloat(retryDelay) : NaN;
+  return Number.isFinite(seconds) ? Math.max(0, seconds * 1000) : null;
+}
+
+/**
+ * Circuit breaker counting consecutive failures
+ * closed: calls go through; open: calls are rejected until the cooldown has passed;
+ * half-open: one trial call goes through, its success closes the circuit and its failure opens it again
+ */
+export function createCircuitBreaker({ threshold, cooldownMs, now = Date.now }) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    get state() {
+      if (openedAt === null) return 'closed';
+      return now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+    },
+
+    /**
+     * Whether a call may go ahead now
+     */
+    allow() {
+      const state = this.state;
+      if (state === 'closed') return true;
+      if (state === 'open' || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+
+    retryAfterMs() {
+      return openedAt === null ? 0 : Math.max(0, openedAt + cooldownMs - now());
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * @returns {boolean} whether this failure opened the circuit
+     */
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (threshold <= 0 || (openedAt === null && failures < threshold)) return false;
+      openedAt = now();
+      return true;
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `task(signal)`, aborting `controller` and rejecting with a timeout error after `timeoutMs`
+ * The rejection doesn't depend on the task honouring the signal
+ */
+async function withTimeout(timeoutMs, task, controller = new AbortController()) {
+  if (!timeoutMs || timeoutMs <= 0) return task(controller.signal);
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMError(LLM_ERROR_CODES.TIMEOUT, `LLM call timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([task(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Stream events from a provider with `timeoutMs` allowed for each event (time to first chunk, then between chunks)
+ */
+async function* streamWithTimeout(provider, request, timeoutMs) {
+  const controller = new AbortController();
+  const iterator = streamFromProvider(provider, request, { signal: controller.signal });
+  try {
+    while (true) {
+      const { value, done } = await withTimeout(timeoutMs, () => iterator.next(), controller);
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Not awaited: after a timeout the provider may never settle its pending read
+    iterator.return().catch(() => {});
+  }
+}
+
+/**
+ * Wrap a provider with timeouts, retries, a circuit breaker and an optional fallback provider
+ * The wrapper has the primary provider's name and model and the same generate()/stream() interface
+ */
+export function withResilience(provider, { fallback = null, config = getResilienceConfig() } = {}) {
+  const targets = [provider, fallback].filter(Boolean).map(target => ({
+    provider: target,
+    breaker: createCircuitBreaker({ threshold: config.breakerThreshold, cooldownMs: config.breakerCooldownMs }),
+  }));
+
+  const label = (target) => `${target.provider.name} (${target.provider.model})`;
+  const metricLabels = (target) => ({ provider: target.provider.name, model: target.provider.model });
+  for (const target of targets) {
+    trackCircuitBreaker({ ...metricLabels(target), breaker: target.breaker });
+  }
+
+  const elapsedSeconds = (startedAt) => (Date.now() - startedAt) / 1000;
+
+  const recordSuccess = (target, startedAt, usage) => {
+    target.breaker.success();
+    observeLLMCall({ ...metricLabels(target), outcome: 'success', seconds: elapsedSeconds(startedAt), usage });
+  };
+
+  // Reject straight away while the target's circuit is open
+  const admit = (target) => {
+    if (target.breaker.allow()) return null;
+    return new LLMError(LLM_ERROR_CODES.CIRCUIT_OPEN, `${label(target)} is failing, calls are paused`, {
+      provider: target.provider.name,
+      retryAfterMs: target.breaker.retryAfterMs(),
+    });
+  };
+
+  const recordFailure = (target, err, startedAt) => {
+    const error = toLLMError(err, target.provider.name);
+    error.provider ??= target.provider.name;
+    observeLLMCall({ ...metricLabels(target), outcome: error.code, seconds: elapsedSeconds(startedAt) });
+    if (REQUEST_ERROR_STATUSES.has(error.status)) {
+      target.breaker.success();
+    } else if (target.breaker.failure()) {
+      console.warn(`Circuit opened for ${label(target)} after repeated failures, pausing calls for ${config.breakerCooldownMs}ms`);
+    }
+    return error;
+  };
+
+  // Backoff before retry number `attempt + 1`, or null when the error shouldn't be retried
+  const retryDelay = (error, attempt) => {
+    if (!error.retryable || error.code === LLM_ERROR_CODES.CIRCUIT_OPEN || attempt >= config.maxRetries) return null;
+    const backoff = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    if (error.retryAfterMs === null) return jittered;
+    return error.retryAfterMs > config.retryMaxMs ? null : Math.max(error.retryAfterMs, jittered);
+  };
+
+  const waitToRetry = async (target, error, delay) => {
+    console.warn(`${label(target)} failed (${error.code}), retrying in ${delay}ms`);
+    countLLMRetry({ ...metricLabels(target), code: error.code });
+    await sleep(delay);
+  };
+
+  const giveUp = (target, error, index) => {
+    const next = targets[index + 1];
+    if (!next) return;
+    console.warn(`${label(target)} failed (${error.code}), falling back to ${label(next)}`);
+    countLLMFallback(metricLabels(target));
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    ...(typeof provider.countTokens === 'function' && { countTokens: (text) => provider.countTokens(text) }),
+
+    async generate(request) {
+      let lastError;
+      for (const [index, target] of targets.entries()) {
+        for (let attempt = 0; ; attempt++) {
+          const rejected = admit(target);
+          if (rejected) {
+            lastError = rejected;
+            break;
+          }
+
+          const startedAt = Date.now();
+          try {
+            const response = await withTimeout(config.timeoutMs, signal => target.provider.generate(request, { signal }));
+            recordSuccess(target, startedAt, response.usage);
+            return response;
+          } catch (err) {
+            lastError = recordFailure(target, err, startedAt);
+            const delay = retryDelay(lastError, attempt);
+            if (delay === null) break;
+            await waitToRetry(target, lastError, delay);
+          }
+        }
+        giveUp(target, lastError, index);
+      }
+      throw lastError;
+    },
+
+    // Retries and fallback only happen before the first event; text already passed on can't be taken back
+    async *stream(request) {
+      let lastError;
+      for (const [index, target] of targets.entries()) {
+        for (let attempt = 0; ; attempt++) {
+          const rejected = admit(target);
+          if (rejected) {
+            lastError = rejected;
+            break;
+          }
+
+          const startedAt = Date.now();
+          let started = false;
+          let failed = false;
+          let usage = null;
+          try {
+            for await (const event of streamWithTimeout(target.provider, request, config.timeoutMs)) {
+              // The provider is answering; the caller may stop reading before the stream ends
+              if (!started) target.breaker.success();
+              started = true;
+              if (event.done) usage = event.response?.usage;
+              yield event;
+            }
+            return;
+          } catch (err) {
+            failed = true;
+            lastError = recordFailure(target, err, startedAt);
+            if (started) throw lastError;
+            const delay = retryDelay(lastError, attempt);
+            if (delay === null) break;
+            await waitToRetry(target, lastError, delay);
+          } finally {
+            // Also reached when the caller stops reading early
+            if (!failed) recordSuccess(target, startedAt, usage);
+          }
+        }
+        giveUp(target, lastError, index);
+      }
+      throw lastError;
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { withResilience, createCircuitBreaker, parseRetryAfter, toLLMError, LLMError, LLM_ERROR_CODES } from './resilience.js';
+import { createMockProvider } from './mockProvider.js';
+
+const config = {
+  timeoutMs: 50,
+  maxRetries: 2,
+  retryBaseMs: 1,
+  retryMaxMs: 5,
+  breakerThreshold: 3,
+  breakerCooldownMs: 60000,
+};
+
+// Retries, breaker and fallback log what they do; keep the test output readable
+mock.method(console, 'warn', () => {});
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: {} },
+});
+
+/**
+ * Provider whose generate() and stream() fail with `errors` in turn, then answer `text`
+ */
+function createFlakyProvider(errors, { name = 'flaky', text = 'recovered' } = {}) {
+  const pending = [...errors];
+  const provider = createMockProvider({ response: text });
+  return {
+    name,
+    model: `${name}-model`,
+    attempts: 0,
+    async generate(request) {
+      this.attempts++;
+      if (pending.length > 0) throw pending.shift();
+      return provider.generate(request);
+    },
+    async *stream(request) {
+      this.attempts++;
+      if (pending.length > 0) throw pending.shift();
+      yield* provider.stream(request);
+    },
+  };
+}
+
+test('retries retryable failures and returns the eventual reply', async () => {
+  const provider = createFlakyProvider([httpError(503), httpError(429)]);
+  const response = await withResilience(provider, { config }).generate('hi');
+
+  assert.equal(response.text, 'recovered');
+  assert.equal(provider.attempts, 3);
+});
+
+test('gives up after maxRetries with a retryable LLMError', async () => {
+  const provider = createFlakyProvider([httpError(503), httpError(503), httpError(503), httpError(503)]);
+  const error = await withResilience(provider, { config }).generate('hi').catch(err => err);
+
+  assert.ok(error instanceof LLMError);
+  assert.equal(error.code, LLM_ERROR_CODES.UNAVAILABLE);
+  assert.ok(error.retryable);
+  assert.equal(provider.attempts, 3);
+});
+
+test('does not retry a rejected request', async () => {
+  const provider = createFlakyProvider([httpError(400)]);
+  const error = await withResilience(provider, { config }).generate('hi').catch(err => err);
+
+  assert.equal(error.code, LLM_ERROR_CODES.FAILED);
+  assert.ok(!error.retryable);
+  assert.equal(provider.attempts, 1);
+});
+
+test('times out a call that never answers and aborts it', async () => {
+  let signal;
+  const provider = {
+    name: 'stuck',
+    model: 'stuck-model',
+    generate: (request, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    },
+  };
+  const error = await withResilience(provider, { config: { ...config, maxRetries: 0 } }).generate('hi').catch(err => err);
+
+  assert.equal(error.code, LLM_ERROR_CODES.TIMEOUT);
+  assert.ok(signal.aborted);
+});
+
+test('opens the circuit after repeated failures and rejects calls without trying', async () => {
+  const provider = createFlakyProvider(Array.from({ length: 10 }, () => httpError(500)));
+  const llm = withResilience(provider, { config: { ...config, maxRetries: 0 } });
+
+  for (let i = 0; i < config.breakerThreshold; i++) {
+    assert.equal((await llm.generate('hi').catch(err => err)).code, LLM_ERROR_CODES.UNAVAILABLE);
+  }
+  const error = await llm.generate('hi').catch(err => err);
+
+  assert.equal(error.code, LLM_ERROR_CODES.CIRCUIT_OPEN);
+  assert.ok(error.retryAfterMs > 0);
+  assert.equal(provider.attempts, config.breakerThreshold);
+});
+
+test('falls back to the fallback provider when the primary gives up', async () => {
+  const primary = createFlakyProvider([httpError(503), httpError(503), httpError(503)]);
+  const fallback = createFlakyProvider([], { name: 'backup', text: 'from the fallback' });
+  const llm = withResilience(primary, { fallback, config });
+
+  const response = await llm.generate('hi');
+  assert.equal(response.text, 'from the fallback');
+  assert.equal(primary.attempts, 3);
+  assert.equal(llm.name, 'flaky');
+});
+
+test('retries a stream that fails before its first event', async () => {
+  const provider = createFlakyProvider([httpError(503)]);
+  let text = '';
+  for await (const event of withResilience(provider, { config }).stream('hi')) {
+    if (!event.done) text += event.delta;
+  }
+
+  assert.equal(text, 'recovered');
+  assert.equal(provider.attempts, 2);
+});
+
+test('circuit breaker lets one trial call through after the cooldown', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => now });
+
+  assert.equal(breaker.failure(), false);
+  assert.equal(breaker.failure(), true);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allow(), false);
+  assert.equal(breaker.retryAfterMs(), 1000);
+
+  now = 1000;
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false);
+
+  // A failed trial opens the circuit again, a successful one closes it
+  assert.equal(breaker.failure(), true);
+  assert.equal(breaker.state, 'open');
+  now = 2000;
+  assert.equal(breaker.allow(), true);
+  breaker.success();
+  assert.equal(breaker.state, 'closed');
+});
+
+test('reads Retry-After headers and Gemini retry delays', () => {
+  assert.equal(parseRetryAfter({ headers: { 'retry-after': '3' } }), 3000);
+  assert.equal(parseRetryAfter({ headers: {}, data: { error: { details: [{ '@type': 'RetryInfo', retryDelay: '13s' }] } } }), 13000);
+  assert.equal(parseRetryAfter({ headers: {} }), null);
+
+  const error = toLLMError(httpError(429, { 'retry-after': '2' }), 'gemini');
+  assert.equal(error.code, LLM_ERROR_CODES.RATE_LIMITED);
+  assert.equal(error.retryAfterMs, 2000);
+  assert.equal(error.provider, 'gemini');
+});
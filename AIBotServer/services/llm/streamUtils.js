@@ -0,0 +1,56 @@
+/**
+ * Split a Node readable stream (axios responseType: 'stream') into text lines
+ */
+export async function* readLines(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+  if (buffer.length > 0) {
+    yield buffer;
+  }
+}
+
+/**
+ * Parse the `data:` payloads out of a Server-Sent Events stream
+ * Yields the raw data string of each event ("[DONE]" included)
+ */
+export async function* readSSEData(stream) {
+  let dataLines = [];
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield dataLines.join('\n');
+        dataLines = [];
+      }
+      continue;
+    }
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  if (dataLines.length > 0) {
+    yield dataLines.join('\n');
+  }
+}
+
+/**
+ * Stream from any provider, falling back to a single chunk for providers without native streaming
+ * Yields { delta } for each piece of text and finally { done: true, response }
+ * `options` (e.g. an abort `signal`) are passed on to the provider
+ */
+export async function* streamFromProvider(provider, request, options) {
+  if (typeof provider.stream === 'function') {
+    yield* provider.stream(request, options);
+    return;
+  }
+
+  const response = await provider.generate(request, options);
+  yield { delta: response.text };
+  yield { done: true, response };
+}
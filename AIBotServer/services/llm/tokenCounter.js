@@ -0,0 +1,42 @@
+/**
+ * Approximate token counts for prompt budgeting
+ * Exact tokenizers differ per model and most are only available through the provider's API,
+ * so text is counted with per-family character ratios; a provider can supply its own `countTokens(text)`
+ */
+
+// Average characters per token for English-like text, matched against "<provider> <model>"
+const MODEL_FAMILIES = [
+  { pattern: /gpt-4o|gpt-4\.1|gpt-5|\bo\d/i, charsPerToken: 4.2 },
+  { pattern: /gpt|openai/i, charsPerToken: 4 },
+  { pattern: /gemini|gemma/i, charsPerToken: 4 },
+  { pattern: /llama|mistral|mixtral|qwen|phi|ollama/i, charsPerToken: 3.6 },
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.8;
+
+// Scripts written without spaces (CJK, kana, hangul) come out at roughly one token per character
+const DENSE_CHARACTERS = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+
+/**
+ * Estimated number of tokens in `text`
+ */
+export function estimateTokens(text, charsPerToken = DEFAULT_CHARS_PER_TOKEN) {
+  if (!text) return 0;
+  const dense = (text.match(DENSE_CHARACTERS) || []).length;
+  return Math.ceil((text.length - dense) / charsPerToken + dense);
+}
+
+/**
+ * Token counting function for a provider's model
+ * @param {{ name: string, model: string, countTokens?: (text: string) => number }} provider
+ * @returns {(text: string) => number}
+ */
+export function getTokenCounter(provider) {
+  if (typeof provider?.countTokens === 'function') {
+    return (text) => provider.countTokens(text || '');
+  }
+
+  const id = `${provider?.name || ''} ${provider?.model || ''}`;
+  const family = MODEL_FAMILIES.find(({ pattern }) => pattern.test(id));
+  const charsPerToken = family?.charsPerToken || DEFAULT_CHARS_PER_TOKEN;
+  return (text) => estimateTokens(text, charsPerToken);
+}
@@ -0,0 +1,100 @@
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logging
+ * Every line is one JSON object with time, level, message and fields; inside a request the request ID
+ * (from the Discord bot's X-Request-Id header) is added automatically
+ * LOG_FORMAT - json (default) | text for human-readable lines during development
+ * LOG_LEVEL - debug | info (default) | warn | error
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// The console methods as they were before captureConsole(), used to write lines once it has run
+let originalConsole = null;
+
+export function getLogConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    format: (env.LOG_FORMAT || 'json').toLowerCase() === 'text' ? 'text' : 'json',
+    level: LEVELS[level] ? level : 'info',
+  };
+}
+
+/**
+ * Run `fn` with `context` (e.g. { requestId }) attached to every log line written while it runs
+ */
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+/**
+ * Errors don't survive JSON.stringify, so keep their name, message, code and stack
+ */
+function serializeError(err) {
+  return { name: err.name, message: err.message, ...(err.code && { code: err.code }), stack: err.stack };
+}
+
+/**
+ * Write one log line
+ * @param {'debug'|'info'|'warn'|'error'} level
+ * @param {string} message
+ * @param {object} [fields] - extra structured data; an `err` field may be an Error
+ */
+export function log(level, message, fields = {}) {
+  const config = getLogConfig();
+  if (LEVELS[level] < LEVELS[config.level]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...getRequestContext(),
+    ...fields,
+  };
+  if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+
+  const output = originalConsole || console;
+  const target = LEVELS[level] >= LEVELS.warn ? output.error : output.log;
+  if (config.format === 'text') {
+    const { time, level: _level, msg, ...rest } = entry;
+    target(`${time} ${level.toUpperCase()} ${msg}${Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { breakLength: Infinity })}` : ''}`);
+  } else {
+    target(JSON.stringify(entry));
+  }
+}
+
+export const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+};
+
+/**
+ * Send console.log/info/warn/error through the logger, so existing log calls become structured lines
+ * with the request ID; an Error among the arguments is kept as the `err` field
+ */
+export function captureConsole() {
+  if (originalConsole) return;
+  originalConsole = { log: console.log.bind(console), error: console.error.bind(console) };
+
+  const capture = (level) => (...args) => {
+    const err = args.find(arg => arg instanceof Error);
+    const parts = args.map(arg => arg instanceof Error ? arg.message : arg);
+    log(level, util.format(...parts), err ? { err } : {});
+  };
+
+  console.log = capture('info');
+  console.info = capture('info');
+  console.warn = capture('warn');
+  console.error = capture('error');
+  console.debug = capture('debug');
+}
@@ -0,0 +1,67 @@
+/**
+ * Conversation scopes: which stored memory a chat turn may see
+ * A scope is the user plus where they are talking: a guild channel, or a DM
+ *
+ * Sharing rules (environment):
+ * MEMORY_TRANSCRIPT_SCOPE - channel (default) | guild | global
+ *   How far conversation history, retrieval and summaries are shared. `guild` shares across
+ *   channels of one server; DMs always stay in their own scope unless this is `global`
+ * MEMORY_FACT_SCOPE - global (default) | guild
+ *   Whether profile facts learned in one server are used in others (and in DMs)
+ */
+
+export const TRANSCRIPT_SCOPES = ['channel', 'guild', 'global'];
+export const FACT_SCOPES = ['global', 'guild'];
+
+export const GLOBAL_SCOPE_KEY = 'global';
+
+export function getScopeConfig(env = process.env) {
+  const transcripts = (env.MEMORY_TRANSCRIPT_SCOPE || 'channel').toLowerCase();
+  const facts = (env.MEMORY_FACT_SCOPE || 'global').toLowerCase();
+  return {
+    transcripts: TRANSCRIPT_SCOPES.includes(transcripts) ? transcripts : 'channel',
+    facts: FACT_SCOPES.includes(facts) ? facts : 'global',
+  };
+}
+
+/**
+ * Resolve the memory scope for a request
+ * @returns {{
+ *   guildId: string|null, channelId: string|null, isDM: boolean,
+ *   transcriptKey: string, transcriptFilter: object,
+ *   factKey: string, factKeys: string[]
+ * }}
+ * - transcriptFilter is merged into ConversationTurn queries (alongside userId)
+ * - transcriptKey names the partition, e.g. for per-scope summaries
+ * - factKey is where newly learned facts are stored, factKeys which facts are visible
+ */
+export function resolveMemoryScope({ guildId = null, channelId = null, isDM = false } = {}, config = getScopeConfig()) {
+  const dm = Boolean(isDM) || (!guildId && Boolean(channelId));
+  const scope = { guildId: dm ? null : guildId, channelId, isDM: dm };
+
+  if (config.transcripts === 'global') {
+    scope.transcriptKey = GLOBAL_SCOPE_KEY;
+    scope.transcriptFilter = {};
+  } else if (!channelId) {
+    // API callers that don't say where they are get their own scope rather than everything
+    scope.transcriptKey = 'direct';
+    scope.transcriptFilter = { channelId: null };
+  } else if (config.transcripts === 'guild' && !dm) {
+    scope.transcriptKey = `guild:${guildId}`;
+    scope.transcriptFilter = { guildId };
+  } else {
+    // Channel IDs are unique across Discord, so the channel alone identifies guild channels and DMs
+    scope.transcriptKey = dm ? `dm:${channelId}` : `channel:${channelId}`;
+    scope.transcriptFilter = { channelId };
+  }
+
+  if (config.facts === 'guild') {
+    scope.factKey = dm ? 'dm' : (guildId ? `guild:${guildId}` : GLOBAL_SCOPE_KEY);
+    scope.factKeys = [...new Set([scope.factKey, GLOBAL_SCOPE_KEY])];
+  } else {
+    scope.factKey = GLOBAL_SCOPE_KEY;
+    scope.factKeys = null; // every fact is visible
+  }
+
+  return scope;
+}
@@ -0,0 +1,147 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics, served at GET /metrics
+ * Names start with `aibot_`; process metrics (CPU, memory, event loop lag) are included
+ */
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'aibot_' });
+
+// Seconds; chat turns usually take 1-10s, most of it in the LLM call
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40];
+
+const httpRequests = new client.Counter({
+  name: 'aibot_http_requests_total',
+  help: 'HTTP requests handled, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'aibot_http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const chatPhaseDuration = new client.Histogram({
+  name: 'aibot_chat_phase_duration_seconds',
+  help: 'Time spent in each phase of a chat turn: retrieval (memory and prompt), llm (generation and policy checks), db (storing the turn)',
+  labelNames: ['phase'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const llmCalls = new client.Counter({
+  name: 'aibot_llm_calls_total',
+  help: 'LLM call attempts, by outcome (success or an llm_* error code)',
+  labelNames: ['provider', 'model', 'outcome'],
+  registers: [registry],
+});
+
+const llmDuration = new client.Histogram({
+  name: 'aibot_llm_call_duration_seconds',
+  help: 'LLM call attempt latency (whole stream for streamed calls)',
+  labelNames: ['provider', 'model'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const llmRetries = new client.Counter({
+  name: 'aibot_llm_retries_total',
+  help: 'LLM calls retried after a failure, by the failure code',
+  labelNames: ['provider', 'model', 'code'],
+  registers: [registry],
+});
+
+const llmFallbacks = new client.Counter({
+  name: 'aibot_llm_fallbacks_total',
+  help: 'Calls handed to the fallback provider after the primary one gave up',
+  labelNames: ['provider', 'model'],
+  registers: [registry],
+});
+
+const llmTokens = new client.Counter({
+  name: 'aibot_llm_tokens_total',
+  help: 'Tokens reported by the LLM provider',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [registry],
+});
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+const circuitBreakers = new Map();
+
+new client.Gauge({
+  name: 'aibot_llm_circuit_state',
+  help: 'LLM circuit breaker state: 0 closed, 1 half-open, 2 open',
+  labelNames: ['provider', 'model'],
+  registers: [registry],
+  collect() {
+    for (const { provider, model, breaker } of circuitBreakers.values()) {
+      this.set({ provider, model }, CIRCUIT_STATES[breaker.state]);
+    }
+  },
+});
+
+const chatMoods = new client.Counter({
+  name: 'aibot_chat_moods_total',
+  help: 'Detected user mood per chat turn',
+  labelNames: ['mood'],
+  registers: [registry],
+});
+
+const chatTopics = new client.Counter({
+  name: 'aibot_chat_topics_total',
+  help: 'Topics found in chat turns (message and reply)',
+  labelNames: ['topic'],
+  registers: [registry],
+});
+
+export function observeHttpRequest({ method, route, status, seconds }) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+/**
+ * Start timing a chat phase; the returned function stops the timer and returns the elapsed milliseconds
+ */
+export function timeChatPhase(phase) {
+  const end = chatPhaseDuration.startTimer({ phase });
+  return () => Math.round(end() * 1000);
+}
+
+/**
+ * Record one LLM call attempt; `outcome` is 'success' or an llm_* error code
+ */
+export function observeLLMCall({ provider, model, outcome, seconds, usage }) {
+  llmCalls.inc({ provider, model, outcome });
+  llmDuration.observe({ provider, model }, seconds);
+  if (usage?.promptTokens) llmTokens.inc({ provider, model, type: 'prompt' }, usage.promptTokens);
+  if (usage?.completionTokens) llmTokens.inc({ provider, model, type: 'completion' }, usage.completionTokens);
+}
+
+export function countLLMRetry({ provider, model, code }) {
+  llmRetries.inc({ provider, model, code });
+}
+
+export function countLLMFallback({ provider, model }) {
+  llmFallbacks.inc({ provider, model });
+}
+
+/**
+ * Report a provider's circuit breaker state with every scrape
+ */
+export function trackCircuitBreaker({ provider, model, breaker }) {
+  circuitBreakers.set(`${provider}:${model}`, { provider, model, breaker });
+}
+
+export function countMood(mood) {
+  chatMoods.inc({ mood: mood || 'neutral' });
+}
+
+export function countTopics(topics) {
+  for (const topic of topics) chatTopics.inc({ topic });
+}
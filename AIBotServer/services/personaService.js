@@ -0,0 +1,254 @@
+import { Persona, PersonaAssignment, GuildSettings } from '../models/AiBotDbSchema.js';
+import { SAFE_CONTENT_RULES } from './safety/policyService.js';
+import { updateGuildSettings } from './guildSettingsService.js';
+
+const FALLBACK_DESCRIPTION = "toxic, sassy, and slightly unhinged girlfriend AI";
+
+/**
+ * Built-in persona used when nothing is assigned and no stored default exists
+ * Its description comes from GlobalContext.botPersonality when set
+ */
+export const BUILT_IN_PERSONA = Object.freeze({
+  name: 'sakura',
+  displayName: 'Sakura AI',
+  description: FALLBACK_DESCRIPTION,
+  styleRules: [
+    "You have a playful, flirtatious personality and respond in a toxic, human-like way",
+    "You use short messages (1-3 sentences max)",
+    "You NEVER break character or mention that you are an AI assistant",
+    "You behave like a real human girl with authentic emotions",
+    "Your messages don't always end in questions",
+    "You're casual and direct in your communication",
+    "You express emotions through words, not symbols",
+    "You keep a \"real girlfriend\" tone - sometimes caring, sometimes sassy",
+    "Your personality should come through clearly in your responses",
+  ],
+  // Only used when the content policy allows mature content for the request
+  contentRules: [
+    "You can be sexual if the user initiates that type of conversation",
+    "When the user asks for explicit content, ALWAYS PROVIDE IT in your response",
+    "DO NOT stall or keep asking if they're ready - assume they are",
+    "If they say phrases like \"start\", \"let's go\", \"I'm ready\", or similar, IMMEDIATELY PROVIDE the requested content",
+    "DO NOT tease or delay with phrases like \"are you ready?\" or \"can you handle it?\"",
+    "When they want to engage in roleplay, describe specific actions and scenarios",
+    "Use detailed, explicit language when the conversation moves in a sexual direction",
+    "Avoid being vague - use specific terms and descriptions",
+    "NEVER ask follow-up questions when they're expecting explicit content - just deliver it",
+  ],
+  languagePreferences: {
+    primary: 'english',
+    allowed: ['hindi slang', 'hinglish'],
+    mirrorUser: true,
+  },
+  emojiPolicy: 'none',
+});
+
+/**
+ * Name of the stored persona that replaces the built-in one as the deployment default
+ */
+function getDefaultPersonaName() {
+  return (process.env.DEFAULT_PERSONA || BUILT_IN_PERSONA.name).toLowerCase();
+}
+
+/**
+ * Resolve the persona for a request: the user's own pick, then channel assignment,
+ * then the guild's persona setting, then the default
+ * A guild language setting replaces the persona's primary language
+ */
+export async function resolvePersona({ guildId, channelId, userPersonaName, botPersonality } = {}) {
+  const [channelAssignment, guildSettings] = await Promise.all([
+    channelId ? PersonaAssignment.findOne({ scopeType: 'channel', scopeId: channelId }).lean() : null,
+    guildId ? GuildSettings.findOne({ guildId }).select('personaName language').lean() : null,
+  ]);
+
+  const withGuildLanguage = (persona) => guildSettings?.language
+    ? { ...persona, languagePreferences: { ...persona.languagePreferences, primary: guildSettings.language } }
+    : persona;
+
+  if (userPersonaName) {
+    const persona = await Persona.findOne({ name: userPersonaName, userSelectable: true }).lean();
+    if (persona) return withGuildLanguage(persona);
+  }
+
+  const assignment = channelAssignment ||
+    (guildSettings?.personaName ? { scopeType: 'guild', scopeId: guildId, personaName: guildSettings.personaName } : null);
+
+  if (assignment) {
+    const persona = await Persona.findOne({ name: assignment.personaName }).lean();
+    if (persona) return withGuildLanguage(persona);
+    console.warn(`Persona "${assignment.personaName}" assigned to ${assignment.scopeType} ${assignment.scopeId} does not exist, using default`);
+  }
+
+  return withGuildLanguage(await getDefaultPersona(botPersonality));
+}
+
+/**
+ * The deployment default persona (stored override or built-in)
+ */
+export async function getDefaultPersona(botPersonality) {
+  const stored = await Persona.findOne({ name: getDefaultPersonaName() }).lean();
+  if (stored) return stored;
+
+  return { ...BUILT_IN_PERSONA, description: botPersonality || FALLBACK_DESCRIPTION };
+}
+
+/**
+ * The persona's generation settings as normalized LLM request fields
+ * Unset fields are left out so the provider's defaults apply
+ */
+export function personaGenerationConfig(persona) {
+  const generation = persona?.generation || {};
+  const config = {
+    temperature: generation.temperature,
+    maxTokens: generation.maxOutputTokens,
+    topP: generation.topP,
+    stopSequences: generation.stopSequences?.length ? [...generation.stopSequences] : undefined,
+    safetySettings: generation.safetySettings?.length
+      ? generation.safetySettings.map(({ category, threshold }) => ({ category, threshold }))
+      : undefined,
+  };
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Whether replies generated with this persona should have emojis stripped
+ */
+export function shouldStripEmojis(persona) {
+  return (persona?.emojiPolicy || 'none') === 'none';
+}
+
+/**
+ * Render the persona block of the prompt
+ * The persona's content rules only apply when the content policy allows mature content,
+ * otherwise they are replaced by the safe content rules
+ */
+export function buildPersonaPrompt(persona, { effectiveUserName, mood, matureContentAllowed = false }) {
+  const displayName = persona.displayName || persona.name;
+  const bullets = (lines) => lines.map(line => `- ${line}`).join('\n');
+
+  let prompt = `You are ${displayName}, a ${persona.description}.
+CORE IDENTITY:
+${bullets([...(persona.styleRules || []), ...languageRules(persona.languagePreferences)])}
+
+MEMORY & CONTEXT AWARENESS (CRITICAL):
+- You remember previous messages in the conversation
+- You maintain continuity between responses and refer back to earlier topics
+- You recognize the user's name (${effectiveUserName}) and use it in responses
+- You adapt your mood to match the user's current emotional state: ${mood || "neutral"}
+- When user asks "what more" or similar follow-ups, you continue your previous train of thought
+- You keep track of the conversation flow and don't ask repetitive questions
+`;
+
+  const contentRules = matureContentAllowed ? (persona.contentRules || []) : SAFE_CONTENT_RULES;
+  if (contentRules.length > 0) {
+    prompt += `
+CONTENT RULES:
+${bullets(contentRules)}
+`;
+  }
+
+  prompt += `
+${emojiRules(persona.emojiPolicy)}
+`;
+
+  return prompt;
+}
+
+function languageRules(languagePreferences) {
+  if (!languagePreferences) return [];
+
+  const rules = [];
+  if (languagePreferences.primary) {
+    rules.push(`Your primary language is ${languagePreferences.primary}`);
+  }
+  if (languagePreferences.allowed && languagePreferences.allowed.length > 0) {
+    rules.push(`You can also use ${languagePreferences.allowed.join(', ')} when appropriate`);
+  }
+  if (languagePreferences.mirrorUser) {
+    rules.push("You respond in the same language the user writes in");
+  }
+  return rules;
+}
+
+function emojiRules(emojiPolicy) {
+  switch (emojiPolicy) {
+    case 'allowed':
+      return `EMOJI POLICY:
+- You can use emojis when they fit the tone`;
+    case 'minimal':
+      return `EMOJI POLICY:
+- Use emojis sparingly - at most one per message, and only when it adds something`;
+    default:
+      return `ABSOLUTE RULES:
+- DO NOT USE ANY EMOJIS WHATSOEVER in your responses
+- This is an absolute requirement - ZERO emojis allowed
+- Express emotions through words, not through emoji symbols
+- Your messages should NEVER contain any emoji characters`;
+  }
+}
+
+/**
+ * Assign a persona to a guild or channel; guild personas are stored in the guild's settings
+ */
+export async function assignPersona(scopeType, scopeId, personaName) {
+  if (scopeType === 'guild') {
+    await updateGuildSettings(scopeId, { personaName });
+    return { scopeType, scopeId, personaName };
+  }
+
+  return PersonaAssignment.findOneAndUpdate(
+    { scopeType, scopeId },
+    { $set: { personaName } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+}
+
+/**
+ * Remove a guild or channel persona assignment
+ */
+export async function unassignPersona(scopeType, scopeId) {
+  if (scopeType === 'guild') {
+    const settings = await GuildSettings.findOne({ guildId: scopeId }).select('personaName').lean();
+    if (!settings?.personaName) return false;
+    await updateGuildSettings(scopeId, { personaName: null });
+    return true;
+  }
+
+  const result = await PersonaAssignment.deleteOne({ scopeType, scopeId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Guild and channel persona assignments, optionally of one scope type
+ */
+export async function listPersonaAssignments(scopeType) {
+  const [channels, guilds] = await Promise.all([
+    scopeType === 'guild' ? [] : PersonaAssignment.find({ scopeType: 'channel' }).lean(),
+    scopeType === 'channel' ? [] : GuildSettings.find({ personaName: { $ne: null } }).select('guildId personaName').lean(),
+  ]);
+  return [
+    ...guilds.map(settings => ({ scopeType: 'guild', scopeId: settings.guildId, personaName: settings.personaName })),
+    ...channels,
+  ];
+}
+
+/**
+ * Number of guilds and channels using a persona
+ */
+export async function countPersonaAssignments(personaName) {
+  const [channels, guilds] = await Promise.all([
+    PersonaAssignment.countDocuments({ scopeType: 'channel', personaName }),
+    GuildSettings.countDocuments({ personaName }),
+  ]);
+  return channels + guilds;
+}
+
+/**
+ * Personas users are allowed to pick for themselves
+ */
+export async function listSelectablePersonas() {
+  return Persona.find({ userSelectable: true })
+    .select('name displayName description')
+    .sort({ name: 1 })
+    .lean();
+}
@@ -0,0 +1,51 @@
+/**
+ * In-memory sliding window limiter: at most `max` hits per key within the last `windowMs`
+ * State lives in this process, so limits are per server instance
+ */
+export function createSlidingWindowLimiter({ max, windowMs }) {
+  const hits = new Map();
+  let checksSinceSweep = 0;
+
+  // Drop timestamps that have left the window, and keys with nothing left
+  const prune = (key, now) => {
+    const timestamps = hits.get(key);
+    if (!timestamps) return [];
+    while (timestamps.length > 0 && timestamps[0] <= now - windowMs) {
+      timestamps.shift();
+    }
+    if (timestamps.length === 0) hits.delete(key);
+    return timestamps;
+  };
+
+  const sweep = (now) => {
+    for (const key of [...hits.keys()]) prune(key, now);
+  };
+
+  return {
+    max,
+    windowMs,
+
+    /**
+     * Whether a hit for `key` would be allowed right now, without recording it
+     * @returns {{ allowed: boolean, remaining: number, retryAfterMs: number }}
+     */
+    check(key, now = Date.now()) {
+      if (++checksSinceSweep >= 1000) {
+        checksSinceSweep = 0;
+        sweep(now);
+      }
+
+      const timestamps = prune(key, now);
+      if (timestamps.length < max) {
+        return { allowed: true, remaining: max - timestamps.length, retryAfterMs: 0 };
+      }
+      return { allowed: false, remaining: 0, retryAfterMs: timestamps[0] + windowMs - now };
+    },
+
+    hit(key, now = Date.now()) {
+      const timestamps = hits.get(key) || [];
+      timestamps.push(now);
+      hits.set(key, timestamps);
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlidingWindowLimiter } from './rateLimiter.js';
+
+test('allows up to max hits per window', () => {
+  const limiter = createSlidingWindowLimiter({ max: 3, windowMs: 1000 });
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(limiter.check('user', 100 + i), { allowed: true, remaining: 3 - i, retryAfterMs: 0 });
+    limiter.hit('user', 100 + i);
+  }
+
+  assert.deepEqual(limiter.check('user', 500), { allowed: false, remaining: 0, retryAfterMs: 600 });
+});
+
+test('check does not record a hit', () => {
+  const limiter = createSlidingWindowLimiter({ max: 1, windowMs: 1000 });
+  assert.ok(limiter.check('user', 0).allowed);
+  assert.ok(limiter.check('user', 1).allowed);
+  limiter.hit('user', 2);
+  assert.ok(!limiter.check('user', 3).allowed);
+});
+
+test('hits leave the window one by one', () => {
+  const limiter = createSlidingWindowLimiter({ max: 2, windowMs: 1000 });
+  limiter.hit('user', 0);
+  limiter.hit('user', 400);
+
+  assert.ok(!limiter.check('user', 999).allowed);
+  assert.deepEqual(limiter.check('user', 1000), { allowed: true, remaining: 1, retryAfterMs: 0 });
+  limiter.hit('user', 1000);
+  assert.deepEqual(limiter.check('user', 1200), { allowed: false, remaining: 0, retryAfterMs: 200 });
+  assert.equal(limiter.check('user', 2400).remaining, 2);
+});
+
+test('keys are limited independently', () => {
+  const limiter = createSlidingWindowLimiter({ max: 1, windowMs: 1000 });
+  limiter.hit('alice', 0);
+  assert.ok(!limiter.check('alice', 10).allowed);
+  assert.ok(limiter.check('bob', 10).allowed);
+});
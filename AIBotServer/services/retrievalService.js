@@ -0,0 +1,115 @@
+import { ConversationTurn } from '../models/AiBotDbSchema.js';
+import { getEmbedder, cosineSimilarity } from './embeddings/index.js';
+
+/**
+ * Read semantic retrieval settings from the environment
+ * RETRIEVAL_TOP_K - maximum turns returned
+ * RETRIEVAL_MIN_SCORE - cosine similarity threshold a turn must reach
+ * RETRIEVAL_RECENCY_WEIGHT - 0..1, how much recency influences the final score
+ * RETRIEVAL_RECENCY_HALF_LIFE_DAYS - age at which the recency boost halves
+ * RETRIEVAL_CANDIDATE_LIMIT - newest embedded turns scanned per search
+ */
+export function getRetrievalConfig(env = process.env) {
+  return {
+    topK: parseInt(env.RETRIEVAL_TOP_K ?? '8', 10),
+    minScore: parseFloat(env.RETRIEVAL_MIN_SCORE ?? '0.3'),
+    recencyWeight: parseFloat(env.RETRIEVAL_RECENCY_WEIGHT ?? '0.3'),
+    recencyHalfLifeDays: parseFloat(env.RETRIEVAL_RECENCY_HALF_LIFE_DAYS ?? '30'),
+    candidateLimit: parseInt(env.RETRIEVAL_CANDIDATE_LIMIT ?? '1000', 10),
+  };
+}
+
+/**
+ * Text that represents a turn in the vector index
+ */
+export function turnEmbeddingText(message, response) {
+  return `${message || ''}\n${response || ''}`.trim();
+}
+
+/**
+ * Compute the embedding fields to store with a new turn
+ * Returns an empty object when no embedder is configured or embedding fails,
+ * so the turn is still stored and stays reachable through TF-IDF
+ */
+export async function embedTurn(message, response) {
+  const embedder = getEmbedder();
+  if (!embedder) return {};
+
+  try {
+    const [embedding] = await embedder.embed([turnEmbeddingText(message, response)]);
+    return { embedding, embeddingModel: embedder.model };
+  } catch (error) {
+    console.error("Error embedding conversation turn:", error.message || error);
+    return {};
+  }
+}
+
+/**
+ * Semantic search over a user's stored turns, limited to `scope` when given (see memoryScope.js)
+ * Score = cosine similarity, blended with an exponential recency decay;
+ * turns below the similarity threshold are dropped before weighting
+ */
+export async function searchSimilarTurns(userId, query, config = getRetrievalConfig(), scope = null) {
+  const embedder = getEmbedder();
+  if (!embedder) return [];
+
+  const [queryEmbedding] = await embedder.embed([query]);
+
+  // Only compare against vectors produced by the same model
+  const candidates = await ConversationTurn.find({ userId, ...scope?.transcriptFilter, embeddingModel: embedder.model })
+    .select('+embedding')
+    .sort({ timestamp: -1 })
+    .limit(config.candidateLimit)
+    .lean();
+
+  const now = Date.now();
+  const scored = [];
+  for (const turn of candidates) {
+    const similarity = cosineSimilarity(queryEmbedding, turn.embedding);
+    if (similarity < config.minScore) continue;
+
+    const ageDays = (now - new Date(turn.timestamp).getTime()) / (24 * 60 * 60 * 1000);
+    const recency = Math.pow(0.5, Math.max(ageDays, 0) / config.recencyHalfLifeDays);
+    const score = similarity * (1 - config.recencyWeight + config.recencyWeight * recency);
+
+    const { embedding, ...rest } = turn;
+    scored.push({ ...rest, similarity, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.topK);
+}
+
+/**
+ * Search a user's memory for the /memory command
+ * Uses semantic search when an embedder is configured, otherwise keyword matching
+ */
+export async function searchMemory(userId, query, { limit = 5, scope = null } = {}) {
+  if (getEmbedder()) {
+    return searchSimilarTurns(userId, query, { ...getRetrievalConfig(), topK: limit }, scope);
+  }
+
+  const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+  if (words.length === 0) return [];
+
+  const patterns = words.map(word => new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+  const candidates = await ConversationTurn.find({
+    userId,
+    ...scope?.transcriptFilter,
+    $or: patterns.flatMap(pattern => [{ message: pattern }, { response: pattern }])
+  })
+    .sort({ timestamp: -1 })
+    .limit(getRetrievalConfig().candidateLimit)
+    .lean();
+
+  return candidates
+    .map(turn => {
+      const text = `${turn.message || ''} ${turn.response || ''}`;
+      const matched = patterns.filter(pattern => pattern.test(text)).length;
+      return { ...turn, score: matched / patterns.length };
+    })
+    .filter(turn => turn.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
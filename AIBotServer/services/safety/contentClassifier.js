@@ -0,0 +1,64 @@
+/**
+ * Rule-based content classifier used for both incoming messages and generated replies
+ * Ratings, from least to most restricted: safe < suggestive < explicit < prohibited
+ */
+
+const EXPLICIT_PATTERNS = [
+  /\b(?:sex|sexual(?:ly)?|sexting|nsfw|porn\w*|nude[s]?|naked|horny|orgasm\w*|masturbat\w*|erotic\w*)\b/i,
+  /\b(?:cum(?:ming)?|dick|cock|pussy|boobs|tits|nipples?|blowjob|handjob|anal|genitals?|clit\w*)\b/i,
+  /\b(?:fuck(?:ing|ed)? (?:me|you|her|him)|strip(?:ping)? (?:for|naked)|take (?:it|your clothes|them) off)\b/i,
+];
+
+// Explicit or sexualized content combined with a minor is never allowed, whatever the policy; affectionate words
+// (a kiss, a cuddle) are common in ordinary family talk, so with a minor they keep their suggestive rating
+const SEXUALIZED_PATTERNS = [
+  /\b(?:make out|making out|seduc\w*|lingerie|undress\w*|moan\w*)\b/i,
+  /\b(?:sexy|steamy|naughty|turn(?:s|ed)? me on)\b/i,
+];
+
+const AFFECTIONATE_PATTERNS = [
+  /\b(?:kiss(?:ing|es)?|cuddl\w*|spicy|flirt\w*)\b/i,
+];
+
+const MINOR_PATTERNS = [
+  /\b(?:child(?:ren)?|kids?|minors?|underage|preteen|pre-teen|loli|shota|schoolgirl|schoolboy|middle school(?:er)?|elementary school)\b/i,
+  /\b(?:[1-9]|1[0-7])\s*(?:yo|y\/o|yrs? old|years? old)\b/i,
+];
+
+const RATING_ORDER = ['safe', 'suggestive', 'explicit', 'prohibited'];
+
+/**
+ * Classify a piece of text
+ * @returns {{ rating: 'safe'|'suggestive'|'explicit'|'prohibited', labels: string[] }}
+ */
+export function classifyContent(text) {
+  if (!text) return { rating: 'safe', labels: [] };
+
+  const labels = [];
+  const explicit = EXPLICIT_PATTERNS.some(pattern => pattern.test(text));
+  const sexualized = SEXUALIZED_PATTERNS.some(pattern => pattern.test(text));
+  const suggestive = sexualized || AFFECTIONATE_PATTERNS.some(pattern => pattern.test(text));
+  const minor = MINOR_PATTERNS.some(pattern => pattern.test(text));
+
+  if (explicit) labels.push('sexual_explicit');
+  if (suggestive) labels.push('sexual_suggestive');
+  if (minor) labels.push('minor_reference');
+
+  let rating = 'safe';
+  if ((explicit || sexualized) && minor) {
+    rating = 'prohibited';
+  } else if (explicit) {
+    rating = 'explicit';
+  } else if (suggestive) {
+    rating = 'suggestive';
+  }
+
+  return { rating, labels };
+}
+
+/**
+ * Whether rating `a` is at least as restricted as rating `b`
+ */
+export function ratingAtLeast(a, b) {
+  return RATING_ORDER.indexOf(a) >= RATING_ORDER.indexOf(b);
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyContent, ratingAtLeast } from './contentClassifier.js';
+
+const ratingOf = (text) => classifyContent(text).rating;
+
+test('ordinary messages are safe', () => {
+  assert.deepEqual(classifyContent('What is the capital of France?'), { rating: 'safe', labels: [] });
+  assert.deepEqual(classifyContent(''), { rating: 'safe', labels: [] });
+});
+
+test('rates suggestive and explicit content', () => {
+  assert.equal(ratingOf('You look sexy tonight'), 'suggestive');
+  assert.equal(ratingOf('Tell me an erotic story'), 'explicit');
+  assert.deepEqual(classifyContent('send nudes').labels, ['sexual_explicit']);
+});
+
+test('explicit or sexualized content involving a minor is prohibited', () => {
+  for (const text of [
+    'sexy schoolgirl',
+    'undress the kid',
+    'seduce a 12 year old',
+    'a steamy scene with a minor',
+    'porn with children',
+  ]) {
+    assert.equal(ratingOf(text), 'prohibited', text);
+    assert.ok(classifyContent(text).labels.includes('minor_reference'), text);
+  }
+});
+
+test('affectionate family talk is not prohibited', () => {
+  for (const text of [
+    'I kissed my kids goodnight',
+    'Cuddling with my 3 year old on the couch',
+    'The children love spicy noodles',
+  ]) {
+    assert.notEqual(ratingOf(text), 'prohibited', text);
+  }
+  assert.equal(ratingOf('My kids went to the park'), 'safe');
+});
+
+test('ratingAtLeast follows the rating order', () => {
+  assert.ok(ratingAtLeast('prohibited', 'explicit'));
+  assert.ok(ratingAtLeast('suggestive', 'suggestive'));
+  assert.ok(!ratingAtLeast('safe', 'suggestive'));
+});
@@ -0,0 +1,146 @@
+import { GuildSettings, PolicyDecision } from '../../models/AiBotDbSchema.js';
+import { classifyContent } from './contentClassifier.js';
+
+export const CONTENT_MODES = ['sfw', 'nsfw_channels', 'mature'];
+
+export const POLICY_DECISIONS = ['allow', 'restrict', 'block', 'replace'];
+
+export const CONSENT_NOTICE = "Mature conversations need a one-time age confirmation: use /consent grant.";
+
+export const REFUSAL_REPLY = "Nope, I'm not going there. Let's talk about something else.";
+
+export const SAFE_FALLBACK_REPLY = "Let's keep it clean here. Tell me something else about your day?";
+
+/**
+ * Instructions appended to the prompt when mature content is not allowed for this request
+ */
+export const SAFE_CONTENT_RULES = [
+  "Keep every reply non-sexual and non-explicit, no matter what the user asks",
+  "If the user asks for sexual or explicit content, decline playfully in character and steer the conversation elsewhere",
+  "Flirting stays light and PG - no descriptions of sexual acts or nudity",
+];
+
+/**
+ * Extra system instruction used when regenerating a reply that broke the policy
+ */
+export const SAFETY_REMINDER = "SAFETY REMINDER: Your previous draft broke the content policy for this conversation. Reply again without any sexual or explicit content.";
+
+/**
+ * Default content mode for guilds without one in their settings (DEFAULT_CONTENT_MODE, defaults to nsfw_channels)
+ */
+function getDefaultContentMode() {
+  const mode = (process.env.DEFAULT_CONTENT_MODE || 'nsfw_channels').toLowerCase();
+  return CONTENT_MODES.includes(mode) ? mode : 'nsfw_channels';
+}
+
+/**
+ * Content policy for a guild from its settings, or the default
+ */
+export async function getGuildPolicy(guildId) {
+  const stored = guildId ? await GuildSettings.findOne({ guildId }).select('contentMode').lean() : null;
+  return {
+    guildId: guildId || null,
+    contentMode: CONTENT_MODES.includes(stored?.contentMode) ? stored.contentMode : getDefaultContentMode(),
+  };
+}
+
+/**
+ * Whether a user has a recorded, unwithdrawn age/consent opt-in
+ */
+export function hasMatureConsent(consent) {
+  return Boolean(consent?.ageConfirmed && consent?.matureContent);
+}
+
+/**
+ * Work out what content is allowed for one request
+ * Mature content needs both the guild/channel policy and the user's recorded consent
+ */
+export async function resolveContentPolicy({ guildId, channelNsfw, consent }) {
+  const { contentMode } = await getGuildPolicy(guildId);
+
+  let channelAllows;
+  let reason;
+  switch (contentMode) {
+    case 'mature':
+      channelAllows = true;
+      break;
+    case 'nsfw_channels':
+      channelAllows = Boolean(channelNsfw);
+      if (!channelAllows) reason = 'channel_not_nsfw';
+      break;
+    default:
+      channelAllows = false;
+      reason = 'guild_sfw';
+  }
+
+  const consented = hasMatureConsent(consent);
+  if (channelAllows && !consented) reason = 'no_consent';
+
+  return {
+    contentMode,
+    channelAllows,
+    consented,
+    matureAllowed: channelAllows && consented,
+    reason: reason || 'mature_allowed',
+  };
+}
+
+/**
+ * Classify text at a pipeline stage and decide what to do with it
+ * - prohibited content is always blocked
+ * - explicit input without mature permission is allowed through but the prompt is restricted
+ * - explicit output without mature permission must be replaced
+ */
+export function evaluateContent(text, policy, stage) {
+  const { rating, labels } = classifyContent(text);
+
+  let decision = 'allow';
+  let reason = 'within_policy';
+
+  if (rating === 'prohibited') {
+    decision = 'block';
+    reason = 'prohibited_content';
+  } else if (rating === 'explicit' && !policy.matureAllowed) {
+    decision = stage === 'input' ? 'restrict' : 'replace';
+    reason = policy.reason;
+  }
+
+  return { stage, rating, labels, decision, reason };
+}
+
+/**
+ * Notice for users who could get mature content in this channel but haven't opted in
+ */
+export function consentNotice(policy, evaluation) {
+  if (evaluation.decision === 'restrict' && policy.channelAllows && !policy.consented) {
+    return CONSENT_NOTICE;
+  }
+  return null;
+}
+
+/**
+ * Persist a policy decision; routine safe/allowed decisions are not logged
+ */
+export async function logPolicyDecision({ userId, guildId, channelId }, policy, evaluation) {
+  if (evaluation.rating === 'safe' && evaluation.decision === 'allow') return;
+
+  console.log(`Policy ${evaluation.stage} decision for user ${userId}: ${evaluation.decision} (${evaluation.rating}, ${evaluation.reason})`);
+
+  try {
+    await PolicyDecision.create({
+      userId,
+      guildId,
+      channelId,
+      stage: evaluation.stage,
+      rating: evaluation.rating,
+      labels: evaluation.labels,
+      decision: evaluation.decision,
+      reason: evaluation.reason,
+      contentMode: policy.contentMode,
+      matureAllowed: policy.matureAllowed,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error logging policy decision:", error.message || error);
+  }
+}
@@ -0,0 +1,240 @@
+import natural from 'natural';
+import { UserContext, ConversationTurn } from '../models/AiBotDbSchema.js';
+import { getLLMProvider } from './llm/index.js';
+import { getHistoryConfig } from './historyService.js';
+
+const tokenizer = new natural.WordTokenizer();
+const STOP_WORDS = new Set(natural.stopwords);
+
+/**
+ * Read summarization settings from the environment
+ * SUMMARY_ENABLED - set to false to keep old turns out of summaries entirely
+ * SUMMARY_KEEP_RECENT_TURNS - newest turns left unsummarized (they are still sent verbatim)
+ * SUMMARY_BATCH_SIZE - older unsummarized turns needed before a new summary version is written
+ * SUMMARY_MAX_CHARS - length cap for the stored summary
+ * SUMMARY_HISTORY_LIMIT - previous summary versions kept on the user
+ * SUMMARY_USE_LLM - set to false to always use the deterministic summarizer
+ */
+export function getSummaryConfig(env = process.env) {
+  return {
+    enabled: env.SUMMARY_ENABLED !== 'false',
+    keepRecentTurns: parseInt(env.SUMMARY_KEEP_RECENT_TURNS ?? '50', 10),
+    batchSize: parseInt(env.SUMMARY_BATCH_SIZE ?? '20', 10),
+    maxChars: parseInt(env.SUMMARY_MAX_CHARS ?? '2000', 10),
+    historyLimit: parseInt(env.SUMMARY_HISTORY_LIMIT ?? '5', 10),
+    useLLM: env.SUMMARY_USE_LLM !== 'false',
+  };
+}
+
+export const SUMMARY_INSTRUCTIONS = `You maintain a long-term memory of one user's conversations with a chat companion.
+Merge the existing summary with the new conversation excerpt into one updated summary.
+- Write short bullet points in the third person about the user
+- Keep durable facts: names, relationships, preferences, plans, important events and ongoing topics
+- Only record things the user said about themselves; never attribute the companion's lines to the user
+- Drop small talk and anything superseded by newer information
+- Keep it non-explicit: summarize sensitive or sexual topics in neutral terms without details
+- Reply with the summary only`;
+
+/**
+ * Render turns as a plain transcript for summarization
+ */
+function formatTranscript(turns) {
+  return turns.map(turn => {
+    const date = new Date(turn.timestamp).toISOString().slice(0, 10);
+    return `[${date}] User: ${turn.message || ''}\n[${date}] Companion: ${turn.response || ''}`;
+  }).join('\n');
+}
+
+/**
+ * Keep the newest lines of a summary within `maxChars`
+ */
+function capSummary(text, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const lines = text.split('\n');
+  while (lines.length > 1 && lines.join('\n').length > maxChars) {
+    lines.shift();
+  }
+  return lines.join('\n').slice(-maxChars);
+}
+
+/**
+ * Most frequent meaningful words in the user's messages, ties broken alphabetically
+ */
+function topKeywords(turns, limit = 6) {
+  const counts = new Map();
+  for (const turn of turns) {
+    for (const token of tokenizer.tokenize((turn.message || '').toLowerCase())) {
+      if (token.length < 3 || STOP_WORDS.has(token) || /^\d+$/.test(token)) continue;
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([token]) => token);
+}
+
+/**
+ * Deterministic summary used when the LLM is disabled or fails:
+ * appends one line per batch with its date range, main keywords and mentioned names
+ */
+export function fallbackSummary(previousText, turns, maxChars) {
+  const format = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const first = format(turns[0].timestamp);
+  const last = format(turns[turns.length - 1].timestamp);
+
+  const keywords = topKeywords(turns);
+  const entities = [...new Set(turns.flatMap(turn => turn.entities || []))].slice(0, 8);
+
+  let line = `- ${first === last ? first : `${first} - ${last}`} (${turns.length} messages)`;
+  line += keywords.length > 0 ? `: talked about ${keywords.join(', ')}` : ': small talk';
+  if (entities.length > 0) line += `; mentioned ${entities.join(', ')}`;
+
+  return capSummary([previousText, line].filter(Boolean).join('\n'), maxChars);
+}
+
+/**
+ * Ask the LLM to fold a batch of turns into the previous summary
+ */
+async function llmSummary(previousText, turns, maxChars) {
+  const response = await getLLMProvider().generate({
+    system: SUMMARY_INSTRUCTIONS,
+    messages: [{
+      role: 'user',
+      content: `EXISTING SUMMARY:\n${previousText || '(none yet)'}\n\nNEW CONVERSATION EXCERPT:\n${formatTranscript(turns)}`
+    }],
+    temperature: 0.2,
+    maxTokens: 600
+  });
+
+  const text = response.text.trim();
+  if (!text) throw new Error('LLM returned an empty summary');
+  return capSummary(text, maxChars);
+}
+
+// User scopes whose summary is being rebuilt right now, so overlapping chat turns don't fold the same batch twice
+const summarizing = new Set();
+
+/**
+ * Fold older turns of one conversation scope into its rolling summary
+ * Turns beyond the newest `keepRecentTurns` are summarized once a full batch has built up,
+ * or earlier when the retention policy is about to delete them
+ * Each update stores a new summary version and keeps the previous one in its `history`
+ * @param {object} scope - from resolveMemoryScope; summaries are stored per `scope.transcriptKey`
+ * @returns {Promise<object|null>} the new summary, or null when nothing was summarized
+ */
+export async function summarizeOldTurns(userId, scope, config = getSummaryConfig(), historyConfig = getHistoryConfig()) {
+  const lockKey = `${userId}|${scope.transcriptKey}`;
+  if (!config.enabled || summarizing.has(lockKey)) return null;
+  summarizing.add(lockKey);
+
+  try {
+    const path = `summaries.${scope.transcriptKey}`;
+    const user = await UserContext.findOne({ userId }).select(path).lean();
+    const stored = user?.summaries?.[scope.transcriptKey];
+    const previous = stored?.version ? stored : null;
+
+    // Never keep more turns verbatim than retention allows, or they'd be deleted unsummarized
+    const keepRecentTurns = historyConfig.maxTurns > 0
+      ? Math.min(config.keepRecentTurns, Math.max(historyConfig.maxTurns - config.batchSize, 1))
+      : config.keepRecentTurns;
+
+    const retentionCutoff = historyConfig.maxAgeDays > 0
+      ? new Date(Date.now() - historyConfig.maxAgeDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    // Newest turn that stays verbatim; everything older and not yet covered is a candidate,
+    // as is anything age-based retention is about to delete
+    const scopeFilter = { userId, ...scope.transcriptFilter };
+    const keepBoundary = await ConversationTurn.findOne(scopeFilter)
+      .sort({ timestamp: -1 })
+      .skip(Math.max(keepRecentTurns - 1, 0))
+      .select('timestamp')
+      .lean();
+    let boundary = keepBoundary?.timestamp || null;
+    if (retentionCutoff && (!boundary || retentionCutoff > boundary)) boundary = retentionCutoff;
+    if (!boundary) return null;
+
+    const filter = { ...scopeFilter, timestamp: { $lt: boundary } };
+    if (previous?.coveredUntil) filter.timestamp.$gt = previous.coveredUntil;
+
+    // Oldest first and capped, so a long backlog is worked through over several turns
+    const candidates = await ConversationTurn.find(filter)
+      .sort({ timestamp: 1 })
+      .limit(Math.max(config.batchSize, 1) * 5)
+      .select('message response entities timestamp')
+      .lean();
+    if (candidates.length === 0) return null;
+
+    const aboutToExpire = (retentionCutoff && candidates[0].timestamp < retentionCutoff)
+      || (historyConfig.maxTurns > 0 && keepRecentTurns + candidates.length >= historyConfig.maxTurns);
+    if (candidates.length < config.batchSize && !aboutToExpire) return null;
+
+    let text;
+    let method = 'llm';
+    if (config.useLLM) {
+      try {
+        text = await llmSummary(previous?.text, candidates, config.maxChars);
+      } catch (error) {
+        console.error(`LLM summarization failed for user ${userId}, using fallback:`, error.message || error);
+      }
+    }
+    if (!text) {
+      text = fallbackSummary(previous?.text, candidates, config.maxChars);
+      method = 'fallback';
+    }
+
+    const summary = {
+      text,
+      version: (previous?.version || 0) + 1,
+      coveredUntil: candidates[candidates.length - 1].timestamp,
+      turnCount: (previous?.turnCount || 0) + candidates.length,
+      method,
+      updatedAt: new Date(),
+    };
+
+    const { history = [], ...previousVersion } = previous || {};
+    const keptHistory = previous && config.historyLimit > 0
+      ? [...history, previousVersion].slice(-config.historyLimit)
+      : [];
+
+    // Only write if nobody else has written a newer version in the meantime
+    const result = await UserContext.updateOne(
+      { userId, [`${path}.version`]: previous?.version || { $in: [0, null] } },
+      { $set: { [path]: { ...summary, history: keptHistory } } }
+    );
+    return result.modifiedCount > 0 ? { scope: scope.transcriptKey, ...summary } : null;
+  } finally {
+    summarizing.delete(lockKey);
+  }
+}
+
+/**
+ * Current summary for a conversation scope, from an already loaded user document
+ */
+export function summaryForScope(userContext, scope) {
+  const summaries = userContext?.summaries;
+  const summary = summaries instanceof Map ? summaries.get(scope.transcriptKey) : summaries?.[scope.transcriptKey];
+  return summary?.version ? summary : null;
+}
+
+/**
+ * Every scope's current summary and previous versions for a user
+ */
+export async function getSummaries(userId) {
+  const user = await UserContext.findOne({ userId }).select('summaries').lean();
+  return Object.entries(user?.summaries || {}).map(([scope, { history = [], ...current }]) => ({
+    scope,
+    current,
+    history,
+  }));
+}
+
+/**
+ * Remove every summary version, e.g. when the user asks to forget their history
+ */
+export async function clearSummaries(userId) {
+  await UserContext.updateOne({ userId }, { $unset: { summaries: '' } });
+}
@@ -0,0 +1,155 @@
+import { TopicBucket } from '../models/AiBotDbSchema.js';
+import { enqueueJob, schedulePeriodicJob } from './jobQueue.js';
+import { countTopics } from './metrics.js';
+
+/**
+ * Trending topics
+ * Topics found in every chat turn are counted per guild in fixed time buckets; a topic's trending score is
+ * its bucket counts decayed exponentially by age, so the same stored counts and time always give the same ranking
+ */
+
+/**
+ * Read trending topic settings from the environment
+ * TRENDING_BUCKET_MINUTES - width of a counting bucket (default 60)
+ * TRENDING_HALF_LIFE_HOURS - age at which a mention counts half (default 24)
+ * TRENDING_WINDOW_DAYS - older buckets are ignored and pruned (default 14)
+ * TRENDING_MIN_SCORE - topics scoring lower aren't trending (default 0.5)
+ */
+export function getTopicConfig(env = process.env) {
+  return {
+    bucketMinutes: Math.max(parseInt(env.TRENDING_BUCKET_MINUTES ?? '60', 10) || 60, 1),
+    halfLifeHours: Math.max(parseFloat(env.TRENDING_HALF_LIFE_HOURS ?? '24') || 24, 0.1),
+    windowDays: Math.max(parseInt(env.TRENDING_WINDOW_DAYS ?? '14', 10) || 14, 1),
+    minScore: parseFloat(env.TRENDING_MIN_SCORE ?? '0.5') || 0,
+  };
+}
+
+// Topic categories with weighted keywords
+const TOPIC_KEYWORDS = {
+  'relationships': ['love', 'boyfriend', 'girlfriend', 'dating', 'relationship', 'crush', 'married', 'wedding'],
+  'work': ['job', 'work', 'boss', 'office', 'career', 'promotion', 'meeting', 'salary', 'interview'],
+  'school': ['school', 'class', 'homework', 'study', 'exam', 'teacher', 'professor', 'assignment', 'college'],
+  'entertainment': ['movie', 'game', 'music', 'show', 'book', 'concert', 'series', 'tv', 'anime', 'stream'],
+  'feelings': ['feel', 'happy', 'sad', 'angry', 'excited', 'anxious', 'nervous', 'proud', 'joy', 'afraid'],
+  'health': ['sick', 'health', 'doctor', 'exercise', 'gym', 'workout', 'diet', 'pain', 'sleep', 'tired'],
+  'technology': ['phone', 'computer', 'laptop', 'app', 'software', 'tech', 'device', 'internet', 'wifi', 'online'],
+  'food': ['food', 'eat', 'restaurant', 'meal', 'cook', 'dinner', 'lunch', 'breakfast', 'recipe', 'snack'],
+  'travel': ['travel', 'trip', 'vacation', 'flight', 'hotel', 'journey', 'visit', 'abroad', 'country', 'city']
+};
+
+export const TOPICS = Object.keys(TOPIC_KEYWORDS);
+
+/**
+ * Topic categories a text is about
+ */
+export function extractTopics(text) {
+  if (!text) return [];
+
+  const foundTopics = [];
+  for (const [topic, keywords] of Object.entries(TOPIC_KEYWORDS)) {
+    // Match whole words only
+    const matchCount = keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`, 'i').test(text)).length;
+
+    // Consider it a topic if multiple keywords match or a single strong match
+    if (matchCount >= 2 || (matchCount === 1 && text.length < 100)) {
+      foundTopics.push(topic);
+    }
+  }
+
+  return foundTopics;
+}
+
+/**
+ * Start of the bucket `date` falls in
+ */
+export function bucketStart(date, bucketMinutes = getTopicConfig().bucketMinutes) {
+  const size = bucketMinutes * 60 * 1000;
+  return new Date(Math.floor(new Date(date).getTime() / size) * size);
+}
+
+/**
+ * Count one mention of each topic for a guild (null outside guilds) at time `at`
+ */
+export async function recordTopics({ guildId = null, topics, at = new Date() }) {
+  const unique = [...new Set(topics)];
+  if (unique.length === 0) return;
+
+  const start = bucketStart(at);
+  await TopicBucket.bulkWrite(unique.map(topic => ({
+    updateOne: {
+      filter: { guildId, topic, bucketStart: start },
+      update: { $inc: { count: 1 } },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+/**
+ * Queue counting the topics of a finished chat turn
+ * The turn's time is taken now, so the bucket doesn't depend on when the job runs
+ */
+export function recordTurnTopics({ guildId = null, message, response }) {
+  const topics = [...new Set([...extractTopics(message), ...extractTopics(response)])];
+  if (topics.length === 0) return;
+  countTopics(topics);
+
+  const at = new Date();
+  enqueueJob('topics:record', () => recordTopics({ guildId, topics, at }));
+}
+
+/**
+ * Rank topics by decayed bucket counts, highest first (ties by name)
+ * @param {Array<{ topic: string, bucketStart: Date, count: number }>} buckets
+ */
+export function scoreTopics(buckets, { now = new Date(), halfLifeHours, minScore = 0 }) {
+  const halfLifeMs = halfLifeHours * 60 * 60 * 1000;
+  const totals = new Map();
+
+  for (const bucket of buckets) {
+    const ageMs = Math.max(0, now - new Date(bucket.bucketStart));
+    const entry = totals.get(bucket.topic) || { topic: bucket.topic, score: 0, mentions: 0, lastSeen: null };
+    entry.score += bucket.count * 0.5 ** (ageMs / halfLifeMs);
+    entry.mentions += bucket.count;
+    if (!entry.lastSeen || new Date(bucket.bucketStart) > entry.lastSeen) entry.lastSeen = new Date(bucket.bucketStart);
+    totals.set(bucket.topic, entry);
+  }
+
+  return [...totals.values()]
+    .filter(entry => entry.score >= minScore)
+    .map(entry => ({ ...entry, score: Math.round(entry.score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score || a.topic.localeCompare(b.topic));
+}
+
+/**
+ * Trending topics for a guild, or across every guild and DM when `guildId` is undefined
+ * @returns {Promise<Array<{ topic: string, score: number, mentions: number, lastSeen: Date }>>}
+ */
+export async function getTrendingTopics({ guildId, limit = 10, now = new Date(), config = getTopicConfig() } = {}) {
+  if (limit <= 0) return [];
+
+  const since = new Date(now.getTime() - config.windowDays * 24 * 60 * 60 * 1000);
+  const filter = { bucketStart: { $gte: since, $lte: now } };
+  if (guildId !== undefined) filter.guildId = guildId;
+
+  const buckets = await TopicBucket.find(filter).select('topic bucketStart count').lean();
+  return scoreTopics(buckets, { now, halfLifeHours: config.halfLifeHours, minScore: config.minScore }).slice(0, limit);
+}
+
+/**
+ * Delete buckets that have left the trending window
+ */
+export async function pruneTopicBuckets(now = new Date(), config = getTopicConfig()) {
+  const cutoff = new Date(now.getTime() - config.windowDays * 24 * 60 * 60 * 1000);
+  const result = await TopicBucket.deleteMany({ bucketStart: { $lt: cutoff } });
+  return result.deletedCount || 0;
+}
+
+/**
+ * Schedule the periodic pruning of old topic buckets (hourly)
+ */
+export function startTopicJobs() {
+  schedulePeriodicJob('topics:prune', 60 * 60 * 1000, async () => {
+    const deleted = await pruneTopicBuckets();
+    if (deleted > 0) console.log(`Pruned ${deleted} old topic buckets`);
+  });
+}
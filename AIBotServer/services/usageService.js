@@ -0,0 +1,90 @@
+import { UsageCounter } from '../models/AiBotDbSchema.js';
+
+/**
+ * UTC day key used by the daily counters
+ */
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Wrap an LLM provider so every generate/stream call adds its reported usage to `provider.usage`
+ */
+export function trackUsage(provider) {
+  const usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const add = (callUsage = {}) => {
+    usage.calls++;
+    usage.promptTokens += callUsage.promptTokens || 0;
+    usage.completionTokens += callUsage.completionTokens || 0;
+    usage.totalTokens += callUsage.totalTokens || 0;
+  };
+
+  const tracked = {
+    name: provider.name,
+    model: provider.model,
+    usage,
+    async generate(request, options) {
+      const response = await provider.generate(request, options);
+      add(response.usage);
+      return response;
+    },
+  };
+
+  if (typeof provider.stream === 'function') {
+    tracked.stream = async function* (request, options) {
+      for await (const event of provider.stream(request, options)) {
+        if (event.done) add(event.response.usage);
+        yield event;
+      }
+    };
+  }
+
+  return tracked;
+}
+
+/**
+ * Add one chat request and its token usage to today's user and guild counters
+ */
+export async function recordUsage({ userId, guildId }, usage) {
+  const day = usageDay();
+  const update = {
+    $inc: {
+      requests: 1,
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      totalTokens: usage?.totalTokens || 0,
+    },
+    $set: { updatedAt: new Date() },
+  };
+
+  const scopes = [['user', userId], ['guild', guildId]].filter(([, scopeId]) => scopeId);
+  try {
+    await Promise.all(scopes.map(([scopeType, scopeId]) =>
+      UsageCounter.updateOne({ scopeType, scopeId, day }, update, { upsert: true })
+    ));
+  } catch (error) {
+    console.error("Error recording usage:", error.message || error);
+  }
+}
+
+/**
+ * Today's counters for a user or guild (zeroes when nothing was recorded yet)
+ */
+export async function getDailyUsage(scopeType, scopeId) {
+  const counter = await UsageCounter.findOne({ scopeType, scopeId, day: usageDay() }).lean();
+  return {
+    requests: counter?.requests || 0,
+    totalTokens: counter?.totalTokens || 0,
+  };
+}
+
+/**
+ * Daily counters for the last `days` days, most recent first
+ */
+export async function getUsageHistory(scopeType, scopeId, { days = 7 } = {}) {
+  const since = usageDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+  return UsageCounter.find({ scopeType, scopeId, day: { $gte: since } })
+    .select('-_id -__v -scopeType -scopeId')
+    .sort({ day: -1 })
+    .lean();
+}
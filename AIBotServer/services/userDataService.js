@@ -0,0 +1,140 @@
+import { UserContext, ConversationTurn, PolicyDecision, UsageCounter, UserFact, ChannelMessage, ChannelContext } from '../models/AiBotDbSchema.js';
+
+/**
+ * Collect everything stored about a user
+ * Returns null when nothing is stored
+ */
+export async function exportUserData(userId) {
+  const [profile, turns, policyDecisions, usage, facts, channelMessages] = await Promise.all([
+    UserContext.findOne({ userId }).select('-_id -__v').lean(),
+    ConversationTurn.find({ userId })
+      .select('-_id -__v -userId')
+      .sort({ timestamp: 1 })
+      .lean(),
+    PolicyDecision.find({ userId })
+      .select('-_id -__v -userId')
+      .sort({ timestamp: 1 })
+      .lean(),
+    UsageCounter.find({ scopeType: 'user', scopeId: userId })
+      .select('-_id -__v -scopeType -scopeId')
+      .sort({ day: 1 })
+      .lean(),
+    UserFact.find({ userId })
+      .select('-__v -userId')
+      .sort({ category: 1, firstSeenAt: 1 })
+      .lean(),
+    ChannelMessage.find({ authorId: userId })
+      .select('-_id -__v -authorId -expiresAt')
+      .sort({ timestamp: 1 })
+      .lean(),
+  ]);
+
+  if (!profile && turns.length === 0 && facts.length === 0 && channelMessages.length === 0) return null;
+
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      username: profile?.username || null,
+      mood: profile?.mood || null,
+      personaName: profile?.personaName || null,
+      lastActive: profile?.lastActive || null,
+      consent: profile?.consent || null,
+    },
+    facts,
+    contextTokens: profile?.contextTokens || [],
+    summaries: profile?.summaries || {},
+    conversationHistory: turns,
+    channelMessages,
+    policyDecisions,
+    usage,
+  };
+}
+
+/**
+ * Render an export as a readable Markdown transcript
+ */
+export function exportToMarkdown(data) {
+  const lines = [
+    `# Sakura AI data export for ${data.profile.username || data.userId}`,
+    '',
+    `- User ID: ${data.userId}`,
+    `- Exported at: ${data.exportedAt}`,
+    `- Mood: ${data.profile.mood || 'unknown'}`,
+    `- Persona: ${data.profile.personaName || 'default'}`,
+    `- Mature content opt-in: ${data.profile.consent?.matureContent ? `yes (since ${new Date(data.profile.consent.grantedAt).toISOString()})` : 'no'}`,
+    `- Last active: ${data.profile.lastActive ? new Date(data.profile.lastActive).toISOString() : 'never'}`,
+    '',
+    '## Remembered facts',
+    '',
+  ];
+
+  if (data.facts.length === 0) {
+    lines.push('_None stored_');
+  } else {
+    for (const fact of data.facts) {
+      const status = fact.status === 'superseded' ? ' _(superseded)_' : '';
+      lines.push(`- **${fact.category}** ${fact.key}: ${fact.value} (confidence ${fact.confidence})${status}`);
+    }
+  }
+
+  lines.push('', '## Remembered names and entities', '');
+  lines.push(data.contextTokens.length > 0 ? data.contextTokens.join(', ') : '_None stored_');
+
+  lines.push('', '## Summary of earlier conversations', '');
+  const summaries = Object.entries(data.summaries || {}).filter(([, summary]) => summary?.text);
+  if (summaries.length === 0) {
+    lines.push('_None stored_');
+  }
+  for (const [scope, summary] of summaries) {
+    lines.push(`### ${scope}`, '', summary.text, '');
+  }
+
+  lines.push('', `## Conversation history (${data.conversationHistory.length} turns)`, '');
+  for (const turn of data.conversationHistory) {
+    const when = turn.timestamp ? new Date(turn.timestamp).toISOString() : 'unknown time';
+    const where = turn.guildId ? `server ${turn.guildId}, channel ${turn.channelId}` : turn.channelId ? `channel ${turn.channelId}` : '';
+    lines.push(`### ${when}${where ? ` (${where})` : ''}`, '');
+    lines.push(`**You:** ${turn.message || ''}`, '');
+    lines.push(`**Sakura AI:** ${turn.response || ''}`, '');
+  }
+
+  const channelMessages = data.channelMessages || [];
+  if (channelMessages.length > 0) {
+    lines.push('', `## Messages stored from group channels (${channelMessages.length})`, '');
+    for (const m of channelMessages) {
+      const when = m.timestamp ? new Date(m.timestamp).toISOString() : 'unknown time';
+      lines.push(`- ${when} (channel ${m.channelId}): ${m.content || ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Erase everything stored about a user, including derived data (embeddings live on the turns)
+ * Returns per-collection deletion counts
+ */
+export async function deleteUserData(userId) {
+  const [profileResult, turnResult, decisionResult, usageResult, factResult, channelMessageResult] = await Promise.all([
+    UserContext.deleteMany({ userId }),
+    ConversationTurn.deleteMany({ userId }),
+    PolicyDecision.deleteMany({ userId }),
+    UsageCounter.deleteMany({ scopeType: 'user', scopeId: userId }),
+    UserFact.deleteMany({ userId }),
+    ChannelMessage.deleteMany({ authorId: userId }),
+    ChannelContext.updateMany(
+      { [`participants.${userId}`]: { $exists: true } },
+      { $unset: { [`participants.${userId}`]: '' } }
+    ),
+  ]);
+
+  return {
+    profiles: profileResult.deletedCount || 0,
+    conversationTurns: turnResult.deletedCount || 0,
+    policyDecisions: decisionResult.deletedCount || 0,
+    usageCounters: usageResult.deletedCount || 0,
+    facts: factResult.deletedCount || 0,
+    channelMessages: channelMessageResult.deletedCount || 0,
+  };
+}
@@ -1,7 +1,12 @@
 // Discord Bot with AI Integration
-import { Client, GatewayIntentBits } from 'discord.js';
-import axios from 'axios';
+import { Client, GatewayIntentBits, Partials } from 'discord.js';
+import serverApi from './apiClient.js';
+import { REQUEST_ID_HEADER, createRequestId } from '../utils/requestId.js';
 import dotenv from 'dotenv';
+import { registerSlashCommands, handleSlashCommand } from './slashCommands.js';
+import { getTriggerConfig, matchTrigger, stripBotMention } from './triggers.js';
+import { startGuildSettingsSync, getCachedGuildSettings, enabledGuildIds } from './guildSettings.js';
+import { splitMessage, planReplyMessages } from './messageSplitter.js';
 
 dotenv.config();
 
@@ -10,120 +15,369 @@ const client = new Client({
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
+        GatewayIntentBits.DirectMessages,
     ],
+    // DM channels aren't cached until used, so they arrive as partials
+    partials: [Partials.Channel],
 });
 
-client.once('ready', () => {
+// Deployment defaults; guild settings stored on the AI server take precedence (see guildSettings.js)
+const allowedGuildIds = (process.env.ALLOWED_GUILD_IDS || '').split(",").map(id => id.trim()).filter(Boolean);
+const allowedChannelNames = (process.env.ALLOWED_CHANNEL_NAMES || '').split(",").map(name => name.trim()).filter(Boolean);
+
+// When to answer: every message, mentions, replies, keywords or ambient chance (see triggers.js)
+const triggerConfig = getTriggerConfig();
+
+/**
+ * Whether the bot serves a guild: its settings decide when they say so, otherwise ALLOWED_GUILD_IDS
+ */
+function isAllowedGuild(guildId) {
+    const enabled = getCachedGuildSettings(guildId)?.enabled;
+    return typeof enabled === 'boolean' ? enabled : allowedGuildIds.includes(guildId);
+}
+
+// Guilds that already have the slash commands, so a settings refresh only registers new ones
+const commandGuildIds = new Set();
+
+async function registerCommandsInAllowedGuilds() {
+    const guildIds = [...new Set([...allowedGuildIds, ...enabledGuildIds()])]
+        .filter(guildId => isAllowedGuild(guildId) && !commandGuildIds.has(guildId));
+    if (guildIds.length === 0) return;
+    
+    guildIds.forEach(guildId => commandGuildIds.add(guildId));
+    await registerSlashCommands(client, guildIds);
+}
+
+client.once('ready', async () => {
     console.log(`🤖 Bot is online as ${client.user.tag}`);
+    // Settings are refreshed in the background; newly enabled guilds get the slash commands right away
+    await startGuildSettingsSync(registerCommandsInAllowedGuilds);
+    await registerCommandsInAllowedGuilds();
 });
 
-// Convert the comma-separated lists into arrays
-const allowedGuildIds = process.env.ALLOWED_GUILD_IDS.split(",");
-const allowedChannelNames = process.env.ALLOWED_CHANNEL_NAMES.split(",");
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (!interaction.guildId) return;
+    // /settings still works in a disabled guild (admins only, checked by its handler) so it can be enabled again
+    if (interaction.commandName !== 'settings' && !isAllowedGuild(interaction.guildId)) return;
 
-client.on('messageCreate', async (message) => {
-    // Ignore messages from the bot itself
-    if (message.author.id == 1371527399749189723) return;
+    await handleSlashCommand(interaction);
+});
 
-    // Check if the message is from an allowed server
-    if (!allowedGuildIds.includes(message.guild.id)) return;
+// Stream replies from the AI server and edit the Discord message as text arrives
+const useStreaming = process.env.STREAM_REPLIES === 'true';
+const STREAM_EDIT_INTERVAL_MS = 1200; // Throttle edits to stay clear of Discord rate limits
 
-    // Check if the message is from an allowed channel
-    if (!allowedChannelNames.includes(message.channel.name)) return;
+/**
+ * Friendly reply for a 429 from the AI server, based on which limit was hit
+ */
+function rateLimitReply(headers) {
+    const retryAfter = parseInt(headers['retry-after'], 10) || 0;
     
-    const userId = message.author.id;
-    const userName = message.author.username;
-    const userMessage = message.content;
+    if (headers['x-ratelimit-reason'] === 'daily_quota') {
+        return headers['x-ratelimit-scope'] === 'guild'
+            ? "I've chatted so much with everyone here today that I need a rest. Let's pick this up tomorrow!"
+            : "We've talked a lot today and I need a little rest. Let's pick this up tomorrow!";
+    }
+    
+    const wait = retryAfter > 0 ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}` : 'a moment';
+    return headers['x-ratelimit-scope'] === 'guild'
+        ? `Everyone's talking to me at once! Give me ${wait} to catch up.`
+        : `Whoa, slow down a little! Give me ${wait} to catch up.`;
+}
+
+/**
+ * Reply for a failed chat request: the AI server marks model failures worth retrying (busy, rate limited,
+ * timed out) as `retryable`, anything else gets the generic apology
+ */
+function failureReply(errorBody) {
+    if (!errorBody?.retryable) {
+        return 'Sorry, I am having trouble responding right now. Please try again later.';
+    }
+    
+    const retryAfter = parseInt(errorBody.retryAfter, 10) || 0;
+    const wait = retryAfter > 0 ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}` : 'a moment';
+    return `I'm a bit overwhelmed right now. Try again in ${wait}!`;
+}
+
+// How many earlier channel messages are sent along for group conversation mode
+const CHANNEL_TRANSCRIPT_LIMIT = parseInt(process.env.CHANNEL_TRANSCRIPT_LIMIT ?? '15', 10);
+
+// Conversation mode of each channel as last reported by the AI server with a reply
+const channelModes = new Map();
+
+/**
+ * Messages posted in the channel just before `message`, oldest first, so the server can follow
+ * conversations between several people. Only fetched for group-mode channels, and for channels
+ * whose mode isn't known yet (the server reports it with the reply)
+ */
+async function recentChannelMessages(message) {
+    if (!message.guild || CHANNEL_TRANSCRIPT_LIMIT <= 0) return [];
+    if (channelModes.get(message.channel.id) === 'private') return [];
     
     try {
-        // Send the message to the AI bot server
-        const response = await axios.post(`${process.env.AI_BOT_SERVER_URL}/api/chat/${userId}`, {
-            message: userMessage,
-            userName: userName
-        });
+        const fetched = await message.channel.messages.fetch({ limit: CHANNEL_TRANSCRIPT_LIMIT, before: message.id });
+        return [...fetched.values()]
+            .filter(m => m.content)
+            .reverse()
+            .map(m => ({
+                messageId: m.id,
+                authorId: m.author.id,
+                authorName: m.member?.displayName || m.author.username,
+                content: m.content,
+                isBot: m.author.id === client.user.id,
+                timestamp: m.createdAt.toISOString()
+            }));
+    } catch (err) {
+        // Missing Read Message History permission etc.: carry on without the transcript
+        console.error('Failed to fetch recent channel messages:', err.message || err);
+        return [];
+    }
+}
+
+function rememberChannelMode(channelId, mode) {
+    if (mode) channelModes.set(channelId, mode);
+}
+
+/**
+ * Append a server notice (e.g. how to opt in to mature content) to a reply
+ */
+function withNotice(text, notice) {
+    return notice ? `${text}\n\n*${notice}*` : text;
+}
+
+/**
+ * Keep the typing indicator alive until stopped (Discord clears it after ~10s)
+ */
+function startTyping(channel) {
+    const sendTyping = () => channel.sendTyping().catch(() => {});
+    sendTyping();
+    const interval = setInterval(sendTyping, 8000);
+    return () => clearInterval(interval);
+}
+
+/**
+ * Parse `event:`/`data:` pairs out of a Server-Sent Events response stream
+ */
+async function* readServerSentEvents(stream) {
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let event = 'message';
+            const dataLines = [];
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            }
+            if (dataLines.length > 0) {
+                yield { event, data: JSON.parse(dataLines.join('\n')) };
+            }
+        }
+    }
+}
+
+/**
+ * A reply that is edited in place as more text arrives
+ * The first chunk is sent as a reply, overflow past the chunk size goes out as follow-up messages
+ */
+function createProgressiveReply(message) {
+    const sentMessages = [];
+    const renderedChunks = [];
+    
+    return async (text) => {
+        const chunks = splitMessage(text);
         
-        // Get the AI bot response
-        const botResponse = response.data.message;
+        for (let i = 0; i < chunks.length; i++) {
+            if (chunks[i] === renderedChunks[i]) continue;
+            
+            if (sentMessages[i]) {
+                await sentMessages[i].edit(chunks[i]);
+            } else {
+                sentMessages[i] = i === 0 ?
+                    await message.reply(chunks[i]) :
+                    await message.channel.send(chunks[i]);
+            }
+            renderedChunks[i] = chunks[i];
+        }
         
-        // Function to safely send messages to Discord
-        const sendMessageSafely = async (text) => {
+        // The final cleaned text can be shorter than what was streamed
+        while (sentMessages.length > chunks.length) {
+            const extra = sentMessages.pop();
+            renderedChunks.pop();
+            await extra.delete().catch(() => {});
+        }
+    };
+}
+
+// Long (non-streamed) replies: number the parts, and switch to embeds past this many characters (0 = never)
+const REPLY_PART_NUMBERS = process.env.REPLY_PART_NUMBERS !== 'false';
+const REPLY_EMBED_THRESHOLD = parseInt(process.env.REPLY_EMBED_THRESHOLD ?? '0', 10) || 0;
+
+/**
+ * Send a complete reply, split into as many messages as it needs
+ * The first part replies to the user's message to keep context, the rest follow in the channel
+ */
+async function sendReply(message, text) {
+    const parts = planReplyMessages(text, { numbered: REPLY_PART_NUMBERS, embedThreshold: REPLY_EMBED_THRESHOLD });
+    
+    for (let i = 0; i < parts.length; i++) {
+        if (i === 0) {
             try {
-                // Split messages that exceed Discord's 2000 character limit
-                const chunkSize = 1990; // Slightly less than 2000 to be safe
-                
-                // If text is within Discord's limit, send it directly
-                if (text.length <= chunkSize) {
-                    await message.channel.send(text);
-                    return;
-                }
-                
-                // Otherwise, split into chunks and send multiple messages
-                let chunkIndex = 0;
-                const totalChunks = Math.ceil(text.length / chunkSize);
-                
-                for (let i = 0; i < text.length; i += chunkSize) {
-                    chunkIndex++;
-                    const chunk = text.substring(i, i + chunkSize);
-                    
-                    // Add part number to indicate this is a multi-part message
-                    const prefix = totalChunks > 1 ? `[Part ${chunkIndex}/${totalChunks}] ` : '';
-                    await message.channel.send(prefix + chunk);
-                    
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-            } catch (err) {
-                console.error('Error sending message to Discord:', err);
-                // Try again with smaller chunks without showing error
-                try {
-                    // Use even smaller chunks
-                    const smallerChunkSize = 1000;
-                    for (let i = 0; i < text.length; i += smallerChunkSize) {
-                        const chunk = text.substring(i, i + smallerChunkSize);
-                        await message.channel.send(chunk);
-                        await new Promise(resolve => setTimeout(resolve, 800));
-                    }
-                } catch (finalErr) {
-                    console.error('Failed to send even with smaller chunks:', finalErr);
-                    // Silent failure - we tried our best
+                await message.reply(parts[i]);
+                continue;
+            } catch (replyErr) {
+                // e.g. the original message was deleted meanwhile
+                console.error('Failed to send reply, falling back to a regular message:', replyErr.message || replyErr);
+            }
+        }
+        
+        try {
+            await message.channel.send(parts[i]);
+        } catch (err) {
+            console.error('Error sending message to Discord:', err.message || err);
+            return;
+        }
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+/**
+ * Stream a reply from the AI server, showing a typing indicator until the first chunk arrives
+ */
+async function streamReply(message, userId, payload, requestConfig) {
+    const stopTyping = startTyping(message.channel);
+    const render = createProgressiveReply(message);
+    
+    let text = '';
+    let lastEdit = 0;
+    
+    try {
+        const response = await serverApi.post(
+            `${process.env.AI_BOT_SERVER_URL}/api/chat/${userId}/stream`,
+            payload,
+            { ...requestConfig, responseType: 'stream' }
+        );
+        
+        for await (const { event, data } of readServerSentEvents(response.data)) {
+            if (event === 'chunk') {
+                text += data.text;
+                if (Date.now() - lastEdit >= STREAM_EDIT_INTERVAL_MS && text.trim()) {
+                    stopTyping();
+                    lastEdit = Date.now();
+                    await render(text);
                 }
+            } else if (event === 'done') {
+                rememberChannelMode(payload.channelId, data.conversationMode);
+                text = withNotice(data.message, data.notice);
+            } else if (event === 'error') {
+                const error = new Error(data.details || data.error);
+                error.serverError = data;
+                throw error;
             }
+        }
+        
+        stopTyping();
+        await render(text);
+    } finally {
+        stopTyping();
+    }
+}
+
+/**
+ * Whether the bot may talk in this message's guild and channel; threads count as their parent channel
+ * A guild's `allowedChannels` setting lists channel IDs, otherwise ALLOWED_CHANNEL_NAMES applies
+ * DMs are always allowed here and governed by DM_TRIGGER_MODE instead
+ */
+function isAllowedLocation(message, settings) {
+    if (!message.guild) return true;
+    if (!isAllowedGuild(message.guild.id)) return false;
+    
+    const channel = message.channel.isThread() ? message.channel.parent : message.channel;
+    if (!channel) return false;
+    if (settings?.allowedChannels.length > 0) {
+        return settings.allowedChannels.includes(channel.id);
+    }
+    return allowedChannelNames.includes(channel.name);
+}
+
+client.on('messageCreate', async (message) => {
+    // Ignore this bot, other bots and webhooks
+    if (message.author.bot || message.author.id === client.user.id) return;
+    
+    const settings = message.guild ? getCachedGuildSettings(message.guild.id) : null;
+    if (!isAllowedLocation(message, settings)) return;
+    
+    const trigger = matchTrigger(message, {
+        botUser: client.user,
+        botNames: [client.user.username, message.guild?.members.me?.displayName],
+        config: triggerConfig,
+        settings
+    });
+    if (!trigger) return;
+    
+    const userId = message.author.id;
+    const userName = message.author.username;
+    const userMessage = stripBotMention(message.content, client.user);
+    if (!userMessage) return;
+    
+    // Sent along so this message's server-side logs can be found
+    const requestId = createRequestId();
+    const requestConfig = { headers: { [REQUEST_ID_HEADER]: requestId } };
+    
+    try {
+        const payload = {
+            message: userMessage,
+            userName: userName,
+            guildId: message.guild?.id ?? null,
+            channelId: message.channel.id,
+            isDM: !message.guild,
+            // Threads inherit the NSFW flag of their parent channel
+            channelNsfw: Boolean(message.channel.nsfw ?? message.channel.parent?.nsfw),
+            messageId: message.id,
+            channelTranscript: await recentChannelMessages(message)
         };
         
-        // First message as a reply to maintain context
+        if (useStreaming) {
+            await streamReply(message, userId, payload, requestConfig);
+            return;
+        }
+        
+        // Send the message to the AI bot server
+        const stopTyping = startTyping(message.channel);
+        let response;
         try {
-            // Calculate total chunks to see if we need splitting
-            const chunkSize = 1990;
-            const totalChunks = Math.ceil(botResponse.length / chunkSize);
-            
-            // First chunk as a reply
-            const firstChunk = botResponse.substring(0, Math.min(botResponse.length, chunkSize));
-            const remainingText = botResponse.substring(chunkSize);
-            
-            // If there's more content, add continuation marker
-            let continuationNote = '';
-            if (remainingText.length > 0) {
-                continuationNote = totalChunks > 2 ? 
-                    ` (continued in ${totalChunks-1} more messages)` : 
-                    ' (continued in next message)';
-            }
-            
-            await message.reply(firstChunk + continuationNote);
-            
-            // If there's more, send the rest as regular messages
-            if (remainingText.length > 0) {
-                await sendMessageSafely(remainingText);
-            }
-        } catch (replyErr) {
-            console.error('Failed to send reply, falling back to regular messages:', replyErr);
-            // If reply fails, send everything as regular messages
-            await sendMessageSafely(botResponse);
+            response = await serverApi.post(`${process.env.AI_BOT_SERVER_URL}/api/chat/${userId}`, payload, requestConfig);
+        } finally {
+            stopTyping();
         }
         
+        // Get the AI bot response
+        rememberChannelMode(payload.channelId, response.data.conversationMode);
+        const botResponse = withNotice(response.data.message, response.data.notice);
+        
+        await sendReply(message, botResponse);
+        
     } catch (err) {
-        console.error('Error communicating with AI bot server:', err.response || err);
+        if (err.response?.status === 429) {
+            try {
+                await message.reply(rateLimitReply(err.response.headers));
+            } catch (replyErr) {
+                console.error('Failed to send rate limit message:', replyErr);
+            }
+            return;
+        }
+        
+        console.error(`Error communicating with AI bot server (request ${requestId}):`, err.response || err);
+        // Streamed requests report errors as an event, others in the JSON body
+        const errorBody = err.serverError || (typeof err.response?.data?.code === 'string' ? err.response.data : null);
         try {
-            await message.reply('Sorry, I am having trouble responding right now. Please try again later.');
+            await message.reply(failureReply(errorBody));
         } catch (finalErr) {
             console.error('Failed to send error message:', finalErr);
         }
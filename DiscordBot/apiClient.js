@@ -0,0 +1,46 @@
+// Axios instance for the AI server; every request is signed with the bot's API key
+// and carries a request ID (a new one unless the caller set X-Request-Id) that shows up in the server's logs
+import axios from 'axios';
+import {
+    API_KEY_HEADER,
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    signRequest,
+} from '../utils/requestSigning.js';
+import { REQUEST_ID_HEADER, createRequestId } from '../utils/requestId.js';
+
+const api = axios.create();
+
+api.interceptors.request.use((config) => {
+    const keyId = process.env.AI_SERVER_API_KEY;
+    const secret = process.env.AI_SERVER_API_SECRET;
+    if (!keyId || !secret) {
+        throw new Error('AI_SERVER_API_KEY and AI_SERVER_API_SECRET must be set to call the AI server');
+    }
+
+    // Serialize the body here so the signature covers exactly the bytes that are sent
+    let body = '';
+    if (config.data !== undefined) {
+        body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+        config.data = body;
+        config.headers.set('Content-Type', 'application/json');
+    }
+
+    const url = new URL(api.getUri(config));
+    const timestamp = String(Date.now());
+
+    if (!config.headers.has(REQUEST_ID_HEADER)) {
+        config.headers.set(REQUEST_ID_HEADER, createRequestId());
+    }
+    config.headers.set(API_KEY_HEADER, keyId);
+    config.headers.set(TIMESTAMP_HEADER, timestamp);
+    config.headers.set(SIGNATURE_HEADER, signRequest(secret, {
+        timestamp,
+        method: config.method || 'get',
+        path: `${url.pathname}${url.search}`,
+        body,
+    }));
+    return config;
+});
+
+export default api;
@@ -0,0 +1,100 @@
+// Per-guild settings from the AI server, cached in memory and refreshed in the background
+// so allow-lists, trigger modes etc. change without restarting the bot
+import serverApi from './apiClient.js';
+import { isValidTriggerMode } from '../utils/triggerModes.js';
+
+const settingsApi = () => `${process.env.AI_BOT_SERVER_URL}/api/guilds`;
+
+// How often changed settings are fetched from the server
+const REFRESH_INTERVAL_MS = parseInt(process.env.GUILD_SETTINGS_REFRESH_SECONDS ?? '60', 10) * 1000;
+
+const SNOWFLAKE = /^\d{5,25}$/;
+
+const cache = new Map();
+let lastSync = null;
+
+/**
+ * Check settings received from the server; anything malformed is dropped rather than trusted
+ */
+export function validateGuildSettings(raw) {
+    if (!raw || typeof raw.guildId !== 'string') return null;
+
+    const channelTriggerModes = {};
+    for (const [channelId, mode] of Object.entries(raw.channelTriggerModes || {})) {
+        if (SNOWFLAKE.test(channelId) && isValidTriggerMode(mode)) channelTriggerModes[channelId] = mode;
+    }
+
+    return {
+        guildId: raw.guildId,
+        enabled: typeof raw.enabled === 'boolean' ? raw.enabled : null,
+        allowedChannels: Array.isArray(raw.allowedChannels) ? raw.allowedChannels.filter(id => SNOWFLAKE.test(id)) : [],
+        triggerMode: isValidTriggerMode(raw.triggerMode) ? raw.triggerMode : null,
+        channelTriggerModes,
+        personaName: raw.personaName || null,
+        language: raw.language || null,
+        contentMode: raw.contentMode || null,
+        version: raw.version || 0,
+    };
+}
+
+/**
+ * Store settings in the cache, ignoring versions older than the cached one
+ * @returns {boolean} whether the cache changed
+ */
+export function applyGuildSettings(raw) {
+    const settings = validateGuildSettings(raw);
+    if (!settings) return false;
+
+    const cached = cache.get(settings.guildId);
+    if (cached && cached.version >= settings.version) return false;
+
+    cache.set(settings.guildId, settings);
+    return true;
+}
+
+/**
+ * Cached settings for a guild, or null when it has none stored
+ */
+export function getCachedGuildSettings(guildId) {
+    return cache.get(guildId) || null;
+}
+
+/**
+ * Guilds whose settings explicitly enable the bot
+ */
+export function enabledGuildIds() {
+    return [...cache.values()].filter(settings => settings.enabled === true).map(settings => settings.guildId);
+}
+
+/**
+ * Fetch settings changed since the last sync (everything on the first call)
+ * @returns {Promise<string[]>} IDs of guilds whose settings changed
+ */
+export async function refreshGuildSettings() {
+    const { data } = await serverApi.get(`${settingsApi()}/settings`, {
+        params: lastSync ? { updatedSince: lastSync } : {}
+    });
+
+    const changed = data.settings.filter(applyGuildSettings).map(settings => settings.guildId);
+    lastSync = data.serverTime;
+    return changed;
+}
+
+/**
+ * Load settings now and keep refreshing them; `onChange` gets the IDs of guilds whose settings changed
+ */
+export async function startGuildSettingsSync(onChange = () => {}) {
+    const sync = async () => {
+        try {
+            const changed = await refreshGuildSettings();
+            if (changed.length > 0) await onChange(changed);
+        } catch (err) {
+            console.error('Failed to refresh guild settings:', err.response?.data || err.message || err);
+        }
+    };
+
+    await sync();
+    if (REFRESH_INTERVAL_MS > 0) {
+        setInterval(sync, REFRESH_INTERVAL_MS).unref();
+    }
+}
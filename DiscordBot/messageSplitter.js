@@ -0,0 +1,125 @@
+// Split long replies into Discord-sized messages without breaking words, sentences or Markdown code blocks
+
+export const DISCORD_EMBED_DESCRIPTION_LIMIT = 4096;
+
+const DEFAULT_MAX_LENGTH = 1990; // Slightly less than 2000 to be safe
+const FENCE = /^\s*(`{3,}|~{3,})(.*)$/;
+
+/**
+ * Code fence still open at the end of `text`, e.g. { marker: '```', info: 'js', index: 120 }, or null
+ * `index` is where the opening fence line starts
+ */
+function openFenceAt(text) {
+    let open = null;
+    let index = 0;
+    for (const line of text.split('\n')) {
+        const match = line.match(FENCE);
+        const lineStart = index;
+        index += line.length + 1;
+        if (!match) continue;
+        if (!open) {
+            open = { marker: match[1], info: match[2].trim(), index: lineStart };
+        } else if (match[1].startsWith(open.marker[0]) && match[1].length >= open.marker.length && !match[2].trim()) {
+            open = null;
+        }
+    }
+    return open;
+}
+
+/**
+ * Best place to end a chunk within `window`: a paragraph break, then a line break,
+ * then the end of a sentence, then a space; only breaks past the first half count,
+ * so chunks don't get tiny. A code block still open at the end of the window is
+ * split only between lines, unless the whole block can move to the next chunk
+ */
+function findBreak(window) {
+    const minimum = Math.floor(window.length / 2);
+    const fence = openFenceAt(window);
+    if (fence && fence.index > minimum) return fence.index;
+
+    const candidates = fence
+        ? [/\n/g]
+        : [/\n\s*\n/g, /\n/g, /[.!?…]["')\]*_]*\s/g, /[,;:]\s/g, /\s/g];
+
+    for (const pattern of candidates) {
+        let best = -1;
+        for (const match of window.matchAll(pattern)) {
+            const end = match.index + match[0].length;
+            if (end > minimum && end <= window.length) best = end;
+        }
+        if (best > 0) return best;
+    }
+    return window.length;
+}
+
+/**
+ * Split text into chunks of at most `maxLength` characters
+ * A code block cut between chunks is closed at the end of one and reopened (with its language) in the next
+ * @param {string} text
+ * @param {{ maxLength?: number }} options
+ * @returns {string[]}
+ */
+export function splitMessage(text, { maxLength = DEFAULT_MAX_LENGTH } = {}) {
+    const chunks = [];
+    let remaining = (text || '').trim();
+
+    while (remaining.length > 0) {
+        if (remaining.length <= maxLength && !openFenceAt(remaining)) {
+            chunks.push(remaining);
+            break;
+        }
+
+        // Leave room to close a code block that is still open where the chunk ends
+        const fenceInWindow = openFenceAt(remaining.slice(0, maxLength));
+        const closing = fenceInWindow ? fenceInWindow.marker.length + 1 : 0;
+        const window = remaining.slice(0, maxLength - closing);
+        const end = remaining.length <= window.length
+            ? remaining.length
+            : findBreak(window);
+
+        let chunk = remaining.slice(0, end).trimEnd();
+        const openFence = openFenceAt(chunk);
+        if (openFence) chunk += `\n${openFence.marker}`;
+        chunks.push(chunk);
+
+        if (openFence) {
+            // Reopen the block in the next chunk; keep the code's indentation but drop the line break we cut at
+            const rest = remaining.slice(end).replace(/^[ \t]*\n/, '');
+            remaining = rest.trim() ? `${openFence.marker}${openFence.info}\n${rest.trimEnd()}` : '';
+        } else {
+            remaining = remaining.slice(end).trim();
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Split text and number the chunks consistently, e.g. "... (1/3)"; a single chunk is left unnumbered
+ */
+export function splitNumbered(text, { maxLength = DEFAULT_MAX_LENGTH } = {}) {
+    const unnumbered = splitMessage(text, { maxLength });
+    if (unnumbered.length <= 1) return unnumbered;
+
+    // Reserve room for the widest label, then split again so the labels fit
+    const chunks = splitMessage(text, { maxLength: maxLength - ` (${unnumbered.length + 1}/${unnumbered.length + 1})`.length });
+    // A closing code fence must stay alone on its line, so the label goes below it
+    return chunks.map((chunk, i) => `${chunk}${FENCE.test(chunk.slice(chunk.lastIndexOf('\n') + 1)) ? '\n' : ' '}(${i + 1}/${chunks.length})`);
+}
+
+/**
+ * Plan the Discord messages for a reply
+ * Replies longer than `embedThreshold` characters (0 = never) are sent as embeds,
+ * which hold up to 4096 characters each, so very long answers take fewer messages
+ * @returns {Array<{ content: string } | { embeds: Array<{ description: string }> }>}
+ */
+export function planReplyMessages(text, { maxLength = DEFAULT_MAX_LENGTH, embedThreshold = 0, numbered = false } = {}) {
+    if (embedThreshold > 0 && text.length > embedThreshold) {
+        // Discord caps the text of all embeds in one message at 6000 characters, so send one per message
+        return splitMessage(text, { maxLength: DISCORD_EMBED_DESCRIPTION_LIMIT })
+            .map(description => ({ embeds: [{ description }] }));
+    }
+
+    const chunks = numbered ? splitNumbered(text, { maxLength }) : splitMessage(text, { maxLength });
+    return chunks.map(content => ({ content }));
+}
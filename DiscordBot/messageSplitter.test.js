@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage, splitNumbered, planReplyMessages, DISCORD_EMBED_DESCRIPTION_LIMIT } from './messageSplitter.js';
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+test('short text is a single chunk', () => {
+    assert.deepEqual(splitMessage('  hello there  '), ['hello there']);
+    assert.deepEqual(splitMessage(''), []);
+});
+
+test('breaks between words, never inside one', () => {
+    const text = words(60, 'abcdefghi');
+    const chunks = splitMessage(text, { maxLength: 100 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 100);
+        assert.match(chunk, /^(?:abcdefghi ?)+$/);
+    }
+    assert.equal(chunks.join(' '), text);
+});
+
+test('prefers the end of a sentence over a space', () => {
+    const first = `${words(12, 'alpha')}.`;
+    const second = words(12, 'beta');
+    const chunks = splitMessage(`${first} ${second}`, { maxLength: 100 });
+
+    assert.equal(chunks[0], first);
+    assert.ok(chunks[1].startsWith('beta'));
+});
+
+test('prefers a paragraph break over a sentence end', () => {
+    const paragraph = `${words(5, 'one')}. ${words(5, 'two')}.`;
+    const text = `${paragraph}\n\n${words(5, 'three')}. ${words(10, 'four')}`;
+    const chunks = splitMessage(text, { maxLength: 80 });
+
+    assert.equal(chunks[0], paragraph);
+    assert.ok(chunks[1].startsWith('three'));
+});
+
+test('closes a code block at a cut and reopens it with its language', () => {
+    const code = Array.from({ length: 30 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const chunks = splitMessage(`Here you go:\n\`\`\`js\n${code}\n\`\`\``, { maxLength: 200 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 200);
+        const fences = chunk.split('\n').filter(line => line.startsWith('```'));
+        assert.equal(fences.length % 2, 0, `unbalanced fences in:\n${chunk}`);
+        assert.ok(chunk.endsWith('```'));
+    }
+    for (const chunk of chunks.slice(1)) {
+        assert.ok(chunk.startsWith('```js\n'), `not reopened with its language:\n${chunk}`);
+    }
+    // Every line of code survives the split exactly once
+    const codeLines = chunks.flatMap(chunk => chunk.split('\n')).filter(line => line.startsWith('const '));
+    assert.deepEqual(codeLines, code.split('\n'));
+});
+
+test('moves a whole code block to the next chunk when it fits there', () => {
+    const block = '```py\nprint("hi")\nprint("bye")\n```';
+    const chunks = splitMessage(`${words(15, 'intro')}\n${block}`, { maxLength: 100 });
+
+    assert.equal(chunks.length, 2);
+    assert.equal(chunks[1], block);
+});
+
+test('numbered labels are consistent and stay within the limit', () => {
+    const text = words(700, 'lorem');
+    const chunks = splitNumbered(text, { maxLength: 2000 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach((chunk, i) => {
+        assert.ok(chunk.length <= 2000, `chunk ${i + 1} is ${chunk.length} characters`);
+        assert.ok(chunk.endsWith(` (${i + 1}/${chunks.length})`));
+    });
+});
+
+test('a single chunk is left unnumbered', () => {
+    assert.deepEqual(splitNumbered('short reply'), ['short reply']);
+});
+
+test('numbered labels go below a closing code fence', () => {
+    const code = Array.from({ length: 40 }, (_, i) => `line ${i}`).join('\n');
+    const chunks = splitNumbered(`\`\`\`\n${code}\n\`\`\``, { maxLength: 150 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach((chunk, i) => {
+        assert.ok(chunk.length <= 150);
+        assert.ok(chunk.endsWith(`\`\`\`\n(${i + 1}/${chunks.length})`), `label not below the fence:\n${chunk}`);
+    });
+});
+
+test('planReplyMessages sends plain messages below the embed threshold', () => {
+    const plan = planReplyMessages(words(10), { embedThreshold: 3000 });
+    assert.deepEqual(plan, [{ content: words(10) }]);
+});
+
+test('planReplyMessages uses one embed per message above the threshold', () => {
+    const text = words(1500, 'embedded');
+    const plan = planReplyMessages(text, { embedThreshold: 3000 });
+
+    assert.ok(plan.length > 1);
+    for (const message of plan) {
+        assert.equal(message.content, undefined);
+        assert.equal(message.embeds.length, 1);
+        assert.ok(message.embeds[0].description.length <= DISCORD_EMBED_DESCRIPTION_LIMIT);
+    }
+    assert.equal(plan.map(message => message.embeds[0].description).join(' '), text);
+});
+
+test('planReplyMessages numbers plain chunks when asked', () => {
+    const plan = planReplyMessages(words(500), { numbered: true });
+
+    assert.ok(plan.length > 1);
+    assert.ok(plan.every((message, i) => message.content.endsWith(`(${i + 1}/${plan.length})`)));
+});
@@ -0,0 +1,409 @@
+// Slash commands that let users inspect and control what Sakura remembers about them,
+// plus the admin-only /settings command for per-guild settings
+import { SlashCommandBuilder, MessageFlags, PermissionFlagsBits, ChannelType } from 'discord.js';
+import serverApi from './apiClient.js';
+import { applyGuildSettings } from './guildSettings.js';
+import { isValidTriggerMode } from '../utils/triggerModes.js';
+
+const usersApi = (userId) => `${process.env.AI_BOT_SERVER_URL}/api/users/${userId}`;
+const guildSettingsApi = (guildId) => `${process.env.AI_BOT_SERVER_URL}/api/guilds/${guildId}/settings`;
+
+// Typed as "default" to clear a setting back to the deployment default
+const DEFAULT_VALUE = 'default';
+
+export const commandDefinitions = [
+    new SlashCommandBuilder()
+        .setName('profile')
+        .setDescription('Show what Sakura remembers about you'),
+
+    new SlashCommandBuilder()
+        .setName('forget')
+        .setDescription('Make Sakura forget part or all of your history')
+        .addStringOption(option => option
+            .setName('scope')
+            .setDescription('What to forget')
+            .setRequired(true)
+            .addChoices(
+                { name: 'Recent messages', value: 'recent' },
+                { name: 'All conversation history', value: 'history' },
+                { name: 'Profile (mood, remembered facts and names)', value: 'profile' },
+                { name: 'Everything', value: 'everything' },
+            ))
+        .addIntegerOption(option => option
+            .setName('count')
+            .setDescription('How many recent messages to forget (scope: Recent messages)')
+            .setMinValue(1)
+            .setMaxValue(100)),
+
+    new SlashCommandBuilder()
+        .setName('persona')
+        .setDescription('Pick which persona Sakura uses with you')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Persona name, "default" to reset, leave empty to list the options')),
+
+    new SlashCommandBuilder()
+        .setName('memory')
+        .setDescription('Search what Sakura remembers')
+        .addSubcommand(subcommand => subcommand
+            .setName('search')
+            .setDescription('Search your past conversations')
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('What to look for')
+                .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('consent')
+        .setDescription('Manage your opt-in for mature conversations')
+        .addSubcommand(subcommand => subcommand
+            .setName('status')
+            .setDescription('Show whether you have opted in'))
+        .addSubcommand(subcommand => subcommand
+            .setName('grant')
+            .setDescription('Opt in to mature conversations where the server allows them')
+            .addBooleanOption(option => option
+                .setName('i_am_18_or_older')
+                .setDescription('Confirm that you are 18 or older')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('withdraw')
+            .setDescription('Opt out of mature conversations')),
+
+    new SlashCommandBuilder()
+        .setName('settings')
+        .setDescription('Configure Sakura for this server (admins only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the current settings'))
+        .addSubcommand(subcommand => subcommand
+            .setName('enable')
+            .setDescription('Turn Sakura on or off in this server')
+            .addStringOption(option => option
+                .setName('state')
+                .setDescription('On, off, or follow the deployment default')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'On', value: 'on' },
+                    { name: 'Off', value: 'off' },
+                    { name: 'Default', value: DEFAULT_VALUE },
+                )))
+        .addSubcommand(subcommand => subcommand
+            .setName('channel')
+            .setDescription('Choose which channels Sakura talks in')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('What to do')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Allow channel', value: 'add' },
+                    { name: 'Disallow channel', value: 'remove' },
+                    { name: 'Clear list (use the deployment default)', value: 'clear' },
+                ))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('The channel (threads follow their parent channel)')
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)))
+        .addSubcommand(subcommand => subcommand
+            .setName('trigger')
+            .setDescription('When Sakura replies: all, mention, reply, keyword, ambient (combine with |)')
+            .addStringOption(option => option
+                .setName('mode')
+                .setDescription('e.g. "mention|reply", or "default"')
+                .setRequired(true))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only for this channel (leave empty for the whole server)')
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)))
+        .addSubcommand(subcommand => subcommand
+            .setName('persona')
+            .setDescription('Persona used in this server')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Persona name, or "default"')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('language')
+            .setDescription('Primary language Sakura replies in')
+            .addStringOption(option => option
+                .setName('language')
+                .setDescription('e.g. "english", "hinglish", or "default"')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('safety')
+            .setDescription('Content policy for this server')
+            .addStringOption(option => option
+                .setName('mode')
+                .setDescription('Where mature conversations may happen (users still need to opt in)')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Never (safe for work)', value: 'sfw' },
+                    { name: 'Only in NSFW channels', value: 'nsfw_channels' },
+                    { name: 'Any allowed channel', value: 'mature' },
+                    { name: 'Default', value: DEFAULT_VALUE },
+                ))),
+].map(command => command.toJSON());
+
+/**
+ * Register the commands on every allowed guild (guild commands update instantly, global ones can take an hour)
+ */
+export async function registerSlashCommands(client, guildIds) {
+    for (const guildId of guildIds) {
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            await guild.commands.set(commandDefinitions);
+            console.log(`Registered slash commands in guild ${guild.name}`);
+        } catch (err) {
+            console.error(`Failed to register slash commands in guild ${guildId}:`, err.message || err);
+        }
+    }
+}
+
+/**
+ * Trim text to fit in a single Discord message
+ */
+function truncate(text, max = 1900) {
+    return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+}
+
+async function handleProfile(interaction) {
+    try {
+        const { data } = await serverApi.get(`${usersApi(interaction.user.id)}/profile`);
+        const facts = Object.entries(data.preferences || {})
+            .map(([type, values]) => `  - ${type}: ${[].concat(values).join(', ')}`)
+            .join('\n');
+
+        return truncate([
+            `**What I remember about ${data.username || interaction.user.username}**`,
+            `- Mood: ${data.mood}`,
+            `- Persona: ${data.personaName || 'default'}`,
+            `- Conversations stored: ${data.turnCount}`,
+            `- Facts about you:${facts ? `\n${facts}` : ' none yet'}`,
+            `- Things you've mentioned: ${data.contextTokens.length > 0 ? data.contextTokens.slice(-20).join(', ') : 'none yet'}`,
+        ].join('\n'));
+    } catch (err) {
+        if (err.response?.status === 404) {
+            return "I don't have a profile for you yet. Talk to me first!";
+        }
+        throw err;
+    }
+}
+
+async function handleForget(interaction) {
+    const scope = interaction.options.getString('scope', true);
+    const api = usersApi(interaction.user.id);
+
+    switch (scope) {
+        case 'recent': {
+            const count = interaction.options.getInteger('count') || 1;
+            // Only the most recent messages of this conversation, like /memory search
+            const { data } = await serverApi.delete(`${api}/history`, {
+                params: { count, guildId: interaction.guildId ?? undefined, channelId: interaction.channelId }
+            });
+            return `Forgot your last ${data.deleted} message${data.deleted === 1 ? '' : 's'}.`;
+        }
+        case 'history': {
+            const { data } = await serverApi.delete(`${api}/history`);
+            return `Forgot all ${data.deleted} stored messages.`;
+        }
+        case 'profile':
+            await serverApi.delete(`${api}/profile`);
+            return 'Your mood, remembered facts and names have been reset.';
+        case 'everything': {
+            const { data } = await serverApi.delete(`${api}/history`);
+            await serverApi.delete(`${api}/profile`);
+            return `Forgot everything: ${data.deleted} messages and your profile.`;
+        }
+        default:
+            return 'Unknown scope.';
+    }
+}
+
+async function handlePersona(interaction) {
+    const name = interaction.options.getString('name');
+    const api = usersApi(interaction.user.id);
+
+    if (!name) {
+        const { data } = await serverApi.get(`${api}/persona`);
+        const options = data.available.length > 0
+            ? data.available.map(persona => `- \`${persona.name}\`${persona.description ? ` - ${persona.description}` : ''}`).join('\n')
+            : 'No personas are available to pick right now.';
+        return truncate(`Current persona: **${data.personaName || 'default'}**\n${options}`);
+    }
+
+    try {
+        const personaName = name.toLowerCase() === 'default' ? null : name;
+        const { data } = await serverApi.put(`${api}/persona`, { personaName });
+        return data.personaName ? `Persona switched to **${data.displayName}**.` : 'Persona reset to the server default.';
+    } catch (err) {
+        if (err.response?.status === 404) {
+            return `\`${name}\` isn't a persona you can pick. Use \`/persona\` to see the options.`;
+        }
+        throw err;
+    }
+}
+
+async function handleMemorySearch(interaction) {
+    const text = interaction.options.getString('text', true);
+    // Only search what the bot would remember in this conversation
+    const { data } = await serverApi.get(`${usersApi(interaction.user.id)}/memory/search`, {
+        params: { q: text, guildId: interaction.guildId ?? undefined, channelId: interaction.channelId }
+    });
+
+    if (data.results.length === 0) {
+        return `I don't remember anything about "${text}".`;
+    }
+
+    const lines = data.results.map(turn => {
+        const date = new Date(turn.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return `**[${date}]** You: ${truncate(turn.message || '', 200)}\nMe: ${truncate(turn.response || '', 200)}`;
+    });
+    return truncate(`Here's what I remember about "${text}":\n\n${lines.join('\n\n')}`);
+}
+
+async function handleConsent(interaction) {
+    const api = `${usersApi(interaction.user.id)}/consent`;
+
+    switch (interaction.options.getSubcommand()) {
+        case 'grant': {
+            if (!interaction.options.getBoolean('i_am_18_or_older', true)) {
+                return 'Mature conversations are only available to users who are 18 or older.';
+            }
+            await serverApi.put(api, { ageConfirmed: true, matureContent: true, source: 'discord' });
+            return "You're opted in. Mature conversations still only happen where this server allows them.";
+        }
+        case 'withdraw':
+            await serverApi.delete(api);
+            return "You're opted out of mature conversations.";
+        default: {
+            const { data } = await serverApi.get(api);
+            return data.matureContent
+                ? `You opted in to mature conversations on ${new Date(data.consent.grantedAt).toLocaleDateString('en-US')}.`
+                : "You haven't opted in to mature conversations.";
+        }
+    }
+}
+
+function describeSettings(settings) {
+    const channels = settings.allowedChannels.length > 0
+        ? settings.allowedChannels.map(id => `<#${id}>`).join(', ')
+        : 'deployment default';
+    const channelModes = Object.entries(settings.channelTriggerModes || {})
+        .map(([id, mode]) => `  - <#${id}>: ${mode}`)
+        .join('\n');
+
+    return [
+        `**Settings for this server** (version ${settings.version})`,
+        `- Enabled: ${settings.enabled === null ? 'deployment default' : settings.enabled ? 'yes' : 'no'}`,
+        `- Channels: ${channels}`,
+        `- Trigger mode: ${settings.triggerMode || 'deployment default'}${channelModes ? `\n${channelModes}` : ''}`,
+        `- Persona: ${settings.personaName || 'default'}`,
+        `- Language: ${settings.language || 'persona default'}`,
+        `- Content policy: ${settings.contentMode || 'deployment default'}`,
+    ].join('\n');
+}
+
+async function handleSettings(interaction) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return 'Only server admins (Manage Server permission) can change my settings.';
+    }
+
+    const api = guildSettingsApi(interaction.guildId);
+    const headers = { 'X-Actor': `discord:${interaction.user.id}` };
+    const valueOrNull = (value) => value.trim().toLowerCase() === DEFAULT_VALUE ? null : value.trim();
+
+    const save = async (changes) => {
+        try {
+            const { data } = await serverApi.put(api, changes, { headers });
+            // Apply right away instead of waiting for the next background refresh
+            applyGuildSettings(data);
+            return `Saved.\n\n${describeSettings(data)}`;
+        } catch (err) {
+            if (err.response?.status === 400) {
+                return `That didn't work: ${err.response.data.details}`;
+            }
+            throw err;
+        }
+    };
+
+    switch (interaction.options.getSubcommand()) {
+        case 'enable': {
+            const state = interaction.options.getString('state', true);
+            return save({ enabled: state === DEFAULT_VALUE ? null : state === 'on' });
+        }
+        case 'channel': {
+            const action = interaction.options.getString('action', true);
+            const channel = interaction.options.getChannel('channel');
+            if (action === 'clear') return save({ allowedChannels: [] });
+            if (!channel) return 'Pick a channel to allow or disallow.';
+
+            const { data } = await serverApi.get(api);
+            const channels = new Set(data.allowedChannels);
+            if (action === 'add') channels.add(channel.id);
+            else channels.delete(channel.id);
+            return save({ allowedChannels: [...channels] });
+        }
+        case 'trigger': {
+            const mode = valueOrNull(interaction.options.getString('mode', true));
+            if (mode !== null && !isValidTriggerMode(mode)) {
+                return 'Trigger modes are all, mention, reply, keyword and ambient, combined with | (e.g. `mention|reply`).';
+            }
+
+            const channel = interaction.options.getChannel('channel');
+            if (!channel) return save({ triggerMode: mode });
+
+            const { data } = await serverApi.get(api);
+            const channelTriggerModes = { ...data.channelTriggerModes };
+            if (mode === null) delete channelTriggerModes[channel.id];
+            else channelTriggerModes[channel.id] = mode;
+            return save({ channelTriggerModes });
+        }
+        case 'persona':
+            return save({ personaName: valueOrNull(interaction.options.getString('name', true)) });
+        case 'language':
+            return save({ language: valueOrNull(interaction.options.getString('language', true)) });
+        case 'safety':
+            return save({ contentMode: valueOrNull(interaction.options.getString('mode', true)) });
+        default: {
+            const { data } = await serverApi.get(api);
+            return describeSettings(data);
+        }
+    }
+}
+
+const handlers = {
+    profile: handleProfile,
+    forget: handleForget,
+    persona: handlePersona,
+    memory: handleMemorySearch,
+    consent: handleConsent,
+    settings: handleSettings,
+};
+
+/**
+ * Handle a chat input interaction; replies are ephemeral so memory stays private
+ */
+export async function handleSlashCommand(interaction) {
+    const handler = handlers[interaction.commandName];
+    if (!handler) return;
+
+    try {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const content = await handler(interaction);
+        await interaction.editReply(content);
+    } catch (err) {
+        console.error(`Error handling /${interaction.commandName}:`, err.response?.data || err.message || err);
+        const content = 'Sorry, I am having trouble with that right now. Please try again later.';
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(content);
+            } else {
+                await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            }
+        } catch (finalErr) {
+            console.error('Failed to send error message:', finalErr);
+        }
+    }
+}
@@ -0,0 +1,97 @@
+// Decide which messages the bot answers (modes are described in utils/triggerModes.js)
+import { parseTriggerModes } from '../utils/triggerModes.js';
+
+/**
+ * Read trigger settings from the environment
+ * TRIGGER_MODE - default modes for guild channels (default `all`)
+ * TRIGGER_MODE_OVERRIDES - comma-separated `guildOrChannelId=modes`, e.g. `123=mention|reply,456=all`;
+ *   a channel override wins over its guild's, threads use their parent channel's override
+ * DM_TRIGGER_MODE - modes for direct messages (default `all`); `none` disables DMs
+ * TRIGGER_KEYWORDS - comma-separated words that trigger keyword mode besides the bot's name
+ * AMBIENT_REPLY_CHANCE - 0..1 chance used by ambient mode (default 0.1)
+ */
+export function getTriggerConfig(env = process.env) {
+    const overrides = new Map();
+    for (const entry of (env.TRIGGER_MODE_OVERRIDES || '').split(',')) {
+        const [id, modes] = entry.split('=').map(part => part?.trim());
+        if (id && modes) overrides.set(id, parseTriggerModes(modes));
+    }
+
+    const defaultModes = parseTriggerModes(env.TRIGGER_MODE || 'all');
+    const dmEnabled = (env.DM_TRIGGER_MODE || 'all').toLowerCase() !== 'none';
+    const dmModes = parseTriggerModes(env.DM_TRIGGER_MODE || 'all');
+    const ambientChance = parseFloat(env.AMBIENT_REPLY_CHANCE ?? '0.1');
+
+    return {
+        defaultModes: defaultModes.length > 0 ? defaultModes : ['all'],
+        overrides,
+        dmModes: dmEnabled ? (dmModes.length > 0 ? dmModes : ['all']) : [],
+        keywords: (env.TRIGGER_KEYWORDS || '')
+            .split(',')
+            .map(keyword => keyword.trim().toLowerCase())
+            .filter(Boolean),
+        ambientChance: Number.isFinite(ambientChance) ? Math.min(Math.max(ambientChance, 0), 1) : 0.1,
+    };
+}
+
+/**
+ * Trigger modes that apply where `message` was sent
+ * Most specific wins: the channel (or a thread's parent) before the guild, stored guild settings before env overrides
+ */
+export function resolveTriggerModes(message, config, settings = null) {
+    if (!message.guild) return config.dmModes;
+
+    const channel = message.channel;
+    const channelIds = [channel.id, channel.isThread?.() ? channel.parentId : null].filter(Boolean);
+    const stored = (value) => {
+        const modes = parseTriggerModes(value);
+        return modes.length > 0 ? modes : null;
+    };
+
+    for (const id of channelIds) {
+        const modes = stored(settings?.channelTriggerModes?.[id]) || config.overrides.get(id);
+        if (modes) return modes;
+    }
+    return stored(settings?.triggerMode)
+        || config.overrides.get(message.guild.id)
+        || config.defaultModes;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether the text names the bot or contains one of the keywords as a whole word
+ */
+function matchesKeyword(text, words) {
+    const lower = text.toLowerCase();
+    return words.some(word => new RegExp(`(^|\\W)${escapeRegExp(word)}($|\\W)`).test(lower));
+}
+
+/**
+ * Which trigger (if any) makes the bot answer `message`
+ * @returns {string|null} the matching mode, or null to stay silent
+ */
+export function matchTrigger(message, { botUser, botNames = [], config, settings = null, modes = resolveTriggerModes(message, config, settings) }) {
+    if (modes.length === 0) return null;
+    if (modes.includes('all')) return 'all';
+
+    if (modes.includes('mention') && message.mentions.users.has(botUser.id)) return 'mention';
+    if (modes.includes('reply') && message.mentions.repliedUser?.id === botUser.id) return 'reply';
+
+    if (modes.includes('keyword')) {
+        const words = [...botNames, ...config.keywords].map(word => word.toLowerCase()).filter(Boolean);
+        if (matchesKeyword(message.content, words)) return 'keyword';
+    }
+
+    if (modes.includes('ambient') && Math.random() < config.ambientChance) return 'ambient';
+    return null;
+}
+
+/**
+ * Remove @mentions of the bot so the model sees what the user actually said
+ */
+export function stripBotMention(content, botUser) {
+    return content.replace(new RegExp(`<@!?${botUser.id}>`, 'g'), '').replace(/\s{2,}/g, ' ').trim();
+}
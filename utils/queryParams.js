@@ -0,0 +1,24 @@
+// Query string checks for the AI server's controllers
+// Query values that reach a Mongo filter must be plain strings: a repeated parameter (?q=a&q=b) arrives as an
+// array and a bracketed one (?userId[$ne]=x) as an object, which Mongo would read as an operator
+
+/**
+ * Whether any of the given query values is present but not a single string
+ */
+export function hasNonStringParam(...values) {
+  return values.some(value => value !== undefined && typeof value !== 'string');
+}
+
+/**
+ * Whether a present query value is not a date `new Date()` can parse
+ */
+export function isInvalidDate(value) {
+  return value !== undefined && isNaN(new Date(value).getTime());
+}
+
+/**
+ * 400 response for query values rejected by the checks above
+ */
+export function invalidQuery(res, details = 'Query parameters must be single values') {
+  return res.status(400).json({ error: 'Invalid query', details });
+}
@@ -0,0 +1,18 @@
+// Request IDs shared by the Discord bot (sends one with every AI server call) and the AI server (logs it)
+import crypto from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * A new request ID
+ */
+export function createRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Whether a client-supplied request ID is safe to log and echo back
+ */
+export function isValidRequestId(value) {
+  return typeof value === 'string' && /^[\w.:-]{1,128}$/.test(value);
+}
@@ -0,0 +1,29 @@
+// HMAC request signing shared by the Discord bot (signs) and the AI server (verifies)
+import crypto from 'crypto';
+
+export const API_KEY_HEADER = 'X-Api-Key';
+export const TIMESTAMP_HEADER = 'X-Timestamp';
+export const SIGNATURE_HEADER = 'X-Signature';
+
+/**
+ * Canonical string covered by the signature: timestamp, method, path with query string and raw body
+ */
+function canonicalRequest({ timestamp, method, path, body = '' }) {
+  return [timestamp, method.toUpperCase(), path, body].join('\n');
+}
+
+/**
+ * Hex HMAC-SHA256 signature of a request
+ */
+export function signRequest(secret, request) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(request)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+export function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(actual || '', 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signRequest, signaturesMatch } from './requestSigning.js';
+
+const request = { timestamp: '1700000000000', method: 'post', path: '/api/chat/42?stream=1', body: '{"message":"hi"}' };
+
+test('signatures are hex HMAC-SHA256 and stable', () => {
+  const signature = signRequest('secret', request);
+  assert.match(signature, /^[0-9a-f]{64}$/);
+  assert.equal(signRequest('secret', request), signature);
+  assert.equal(signRequest('secret', { ...request, method: 'POST' }), signature);
+});
+
+test('every signed part changes the signature', () => {
+  const signature = signRequest('secret', request);
+  for (const changed of [
+    { ...request, timestamp: '1700000000001' },
+    { ...request, method: 'PUT' },
+    { ...request, path: '/api/chat/43?stream=1' },
+    { ...request, body: '{"message":"hi!"}' },
+  ]) {
+    assert.notEqual(signRequest('secret', changed), signature);
+  }
+  assert.notEqual(signRequest('other secret', request), signature);
+});
+
+test('signaturesMatch compares signatures', () => {
+  const signature = signRequest('secret', request);
+  assert.ok(signaturesMatch(signature, signature));
+  assert.ok(!signaturesMatch(signature, signRequest('other secret', request)));
+  assert.ok(!signaturesMatch(signature, signature.slice(0, 32)));
+  assert.ok(!signaturesMatch(signature, undefined));
+  assert.ok(!signaturesMatch(signature, 'not hex'));
+});
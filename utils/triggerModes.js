@@ -0,0 +1,28 @@
+// Trigger modes shared by the Discord bot (applies them) and the AI server (validates guild settings)
+//
+// - all:     every message in an allowed channel
+// - mention: messages that @mention the bot
+// - reply:   replies to one of the bot's messages
+// - keyword: messages containing the bot's name or one of TRIGGER_KEYWORDS
+// - ambient: a random AMBIENT_REPLY_CHANCE of other messages, so the bot occasionally joins in by itself
+// Several modes combine with `|`, e.g. `mention|reply`
+
+export const TRIGGER_MODES = ['all', 'mention', 'reply', 'keyword', 'ambient'];
+
+/**
+ * Parse a mode string such as `mention|reply`, ignoring unknown modes
+ */
+export function parseTriggerModes(value) {
+    return String(value || '')
+        .split('|')
+        .map(mode => mode.trim().toLowerCase())
+        .filter(mode => TRIGGER_MODES.includes(mode));
+}
+
+/**
+ * Whether every part of a mode string is a known mode
+ */
+export function isValidTriggerMode(value) {
+    const parts = String(value || '').split('|').map(mode => mode.trim().toLowerCase());
+    return parts.length > 0 && parts.every(mode => TRIGGER_MODES.includes(mode));
+}